@@ -0,0 +1,199 @@
+/* ========================================
+   CHILD PSYCHOLOGY COURSE — ANALYTICS.JS
+   Per-question item analytics built from the
+   quiz attempt logs in progress data (one
+   learner's or a whole class's): attempts,
+   correctness, answer-choice picks and time
+   to answer, with flags for questions the
+   content writers should look at.
+   ======================================== */
+
+(function () {
+  'use strict';
+
+  /* Questions answered by picking options; only these have distractors */
+  var CHOICE_TYPES = ['multiple-choice', 'multiple-select', 'true-false'];
+
+  /* ------------------------------------------
+     FLAG THRESHOLDS
+     A question is only flagged once it has
+     MIN_ATTEMPTS answers. Correct rate is the
+     average credit, so partial answers count
+     fractionally.
+  ------------------------------------------ */
+  var THRESHOLDS = {
+    minAttempts: 5,
+    tooEasy: 0.9,     // correct rate at or above
+    tooHard: 0.3      // correct rate at or below
+  };
+
+  var FLAG_LABELS = {
+    'too-easy': 'Too easy',
+    'too-hard': 'Too hard',
+    'unused-distractor': 'Distractor nobody picks'
+  };
+
+  /* ------------------------------------------
+     collect(progressList)
+     Tallies every logged attempt in a list of
+     progress data objects (progress.js schema),
+     module quizzes and final exams alike.
+     Returns question id -> {
+       questionId, moduleId, attempts, correct,
+       credit, answered, picks, times
+     } where `answered` counts the results that
+     recorded the learner's answer and `picks`
+     maps each picked option id to a count.
+  ------------------------------------------ */
+  function collect(progressList) {
+    var stats = {};
+
+    function tally(result, moduleId) {
+      var item = stats[result.questionId] || (stats[result.questionId] = {
+        questionId: result.questionId,
+        moduleId: moduleId,
+        attempts: 0,
+        correct: 0,
+        credit: 0,
+        answered: 0,
+        picks: {},
+        times: []
+      });
+
+      item.attempts++;
+      if (result.correct) item.correct++;
+      item.credit += typeof result.credit === 'number' ? result.credit : (result.correct ? 1 : 0);
+
+      if (typeof result.timeMs === 'number' && result.timeMs > 0) {
+        item.times.push(result.timeMs);
+      }
+
+      // Older attempts were logged without the answer itself
+      if (result.selected === undefined || result.selected === null) return;
+      item.answered++;
+      pickedIds(result.selected).forEach(function (id) {
+        item.picks[id] = (item.picks[id] || 0) + 1;
+      });
+    }
+
+    progressList.forEach(function (progress) {
+      if (!progress || !progress.modules) return;
+
+      Object.keys(progress.modules).forEach(function (moduleId) {
+        (progress.modules[moduleId].quizHistory || []).forEach(function (attempt) {
+          (attempt.results || []).forEach(function (result) { tally(result, moduleId); });
+        });
+      });
+
+      // Final exam results name their module (progress v4+)
+      ((progress.finalExam && progress.finalExam.history) || []).forEach(function (attempt) {
+        (attempt.results || []).forEach(function (result) {
+          if (result.moduleId) tally(result, result.moduleId);
+        });
+      });
+    });
+
+    return stats;
+  }
+
+  /* ------------------------------------------
+     analyze(progressList, questions)
+     One report per question that has been
+     answered at least once, most-flagged
+     first. `questions` maps question id to
+     its quizzes.json definition; questions
+     missing from it (e.g. since removed)
+     are reported without choices.
+
+     Report: { questionId, moduleId, question,
+       attempts, correctRate, medianTimeMs,
+       choices: [{ id, text, isCorrect, picks,
+       rate }], flags: ['too-easy' | 'too-hard'
+       | 'unused-distractor'] }
+  ------------------------------------------ */
+  function analyze(progressList, questions) {
+    var stats = collect(progressList);
+    questions = questions || {};
+
+    return Object.keys(stats).map(function (id) {
+      var item = stats[id];
+      var question = questions[id] || null;
+      var choices = question ? choicesFor(question, item) : [];
+      var report = {
+        questionId: id,
+        moduleId: item.moduleId,
+        question: question,
+        attempts: item.attempts,
+        correctRate: item.credit / item.attempts,
+        medianTimeMs: median(item.times),
+        choices: choices,
+        flags: []
+      };
+
+      if (item.attempts >= THRESHOLDS.minAttempts) {
+        if (report.correctRate >= THRESHOLDS.tooEasy) report.flags.push('too-easy');
+        if (report.correctRate <= THRESHOLDS.tooHard) report.flags.push('too-hard');
+      }
+      if (item.answered >= THRESHOLDS.minAttempts && choices.some(function (choice) {
+        return !choice.isCorrect && choice.picks === 0;
+      })) {
+        report.flags.push('unused-distractor');
+      }
+
+      return report;
+    }).sort(function (a, b) {
+      return b.flags.length - a.flags.length || b.attempts - a.attempts ||
+        (a.questionId < b.questionId ? -1 : 1);
+    });
+  }
+
+  /* ------------------------------------------
+     HELPERS
+  ------------------------------------------ */
+  function pickedIds(selected) {
+    if (Array.isArray(selected)) {
+      return selected.filter(function (id) { return typeof id === 'string'; });
+    }
+    return typeof selected === 'string' ? [selected] : [];
+  }
+
+  /* Every answer choice with how often it was picked, as a share of recorded answers */
+  function choicesFor(question, item) {
+    if (CHOICE_TYPES.indexOf(question.type) === -1) return [];
+
+    var options;
+    if (question.type === 'true-false') {
+      options = [
+        { id: 'true', text: 'True', isCorrect: question.correctAnswer === true },
+        { id: 'false', text: 'False', isCorrect: question.correctAnswer === false }
+      ];
+    } else {
+      var correctIds = question.type === 'multiple-select' ?
+        question.correctAnswers || [] : [question.correctAnswer];
+      options = (question.options || []).map(function (opt) {
+        return { id: opt.id, text: opt.text, isCorrect: correctIds.indexOf(opt.id) !== -1 };
+      });
+    }
+
+    return options.map(function (opt) {
+      opt.picks = item.picks[opt.id] || 0;
+      opt.rate = item.answered ? opt.picks / item.answered : 0;
+      return opt;
+    });
+  }
+
+  function median(values) {
+    if (values.length === 0) return null;
+    var sorted = values.slice().sort(function (a, b) { return a - b; });
+    var middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+  }
+
+  window.itemAnalytics = {
+    THRESHOLDS: THRESHOLDS,
+    FLAG_LABELS: FLAG_LABELS,
+    collect: collect,
+    analyze: analyze
+  };
+
+})();
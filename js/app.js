@@ -241,9 +241,35 @@
   /* ------------------------------------------
      SMOOTH SCROLL FOR ANCHOR LINKS
      Handles clicks on in-page anchor links
-     with smooth scrolling behavior.
+     with smooth scrolling behavior. A hash can
+     also name a content section by its
+     data-section-id (e.g. module3.html#vygotsky,
+     linked from quiz feedback); the browser
+     can't jump there by itself, so arriving
+     with one scrolls to the section too.
   ------------------------------------------ */
+  function findHashTarget(hash) {
+    var id;
+    try {
+      id = decodeURIComponent(hash.slice(1));
+    } catch (e) {
+      return null;   // malformed %-escape
+    }
+    if (!id) return null;
+
+    // Compared rather than put in a selector, so any hash is safe
+    return document.getElementById(id) ||
+      Array.prototype.filter.call(document.querySelectorAll('.content-section'), function (section) {
+        return section.dataset.sectionId === id;
+      })[0] || null;
+  }
+
   function initSmoothScroll() {
+    var arrivedAt = window.location.hash && findHashTarget(window.location.hash);
+    if (arrivedAt && !arrivedAt.id) {
+      arrivedAt.scrollIntoView({ block: 'start' });
+    }
+
     document.addEventListener('click', function (e) {
       var link = e.target.closest('a[href^="#"]');
       if (!link) return;
@@ -251,7 +277,7 @@
       var targetId = link.getAttribute('href');
       if (targetId === '#') return;
 
-      var targetEl = document.querySelector(targetId);
+      var targetEl = findHashTarget(targetId);
       if (!targetEl) return;
 
       e.preventDefault();
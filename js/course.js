@@ -0,0 +1,270 @@
+/* ========================================
+   CHILD PSYCHOLOGY COURSE — COURSE.JS
+   Loads data/course.json, the course manifest
+   and single source of course configuration
+   (modules in order, their sections, pass
+   thresholds) shared by progress, quiz and
+   gamification. Also home to the few helpers
+   several scripts share (window.courseUtils).
+
+   When adding a module or a .content-section,
+   add it to course.json as well — module pages
+   warn in the console if the two disagree.
+   ======================================== */
+
+(function () {
+  'use strict';
+
+  var COURSE_DATA_URL = 'data/course.json';
+  var DEFAULT_PASSING_SCORE = 70;
+
+  /* Id the final exam goes by in place of a module id */
+  var FINAL_EXAM_ID = 'finalExam';
+
+  /* This device's id for counts kept per device (namespaced per profile,
+     but never synced or exported on its own) */
+  var DEVICE_KEY = 'childPsych_device';
+
+  /* ------------------------------------------
+     COURSE CONFIG CLASS
+     Accessors are synchronous and fall back to
+     defaults until the JSON has loaded; use
+     ready() or the 'courseConfigLoaded' event
+     to react once it has.
+  ------------------------------------------ */
+  function CourseConfig() {
+    this.data = null;
+    this.isLoaded = false;
+    this.callbacks = [];
+  }
+
+  /* ------------------------------------------
+     load()
+     Fetches course.json once. A failed fetch
+     still counts as loaded so callers fall
+     back to defaults instead of waiting.
+  ------------------------------------------ */
+  CourseConfig.prototype.load = function () {
+    var self = this;
+
+    fetch(COURSE_DATA_URL)
+      .then(function (response) {
+        if (!response.ok) throw new Error('Failed to load course data: ' + response.status);
+        return response.json();
+      })
+      .then(function (data) {
+        self.data = data;
+        self._finishLoading();
+      })
+      .catch(function (err) {
+        console.warn('[ChildPsych] Could not load course configuration:', err.message);
+        self._finishLoading();
+      });
+  };
+
+  /* ------------------------------------------
+     ready(callback)
+     Runs callback(config) once loading has
+     finished (immediately if it already has).
+  ------------------------------------------ */
+  CourseConfig.prototype.ready = function (callback) {
+    if (this.isLoaded) {
+      callback(this);
+    } else {
+      this.callbacks.push(callback);
+    }
+  };
+
+  /* ------------------------------------------
+     getModules()
+     Returns the module entries in course order.
+  ------------------------------------------ */
+  CourseConfig.prototype.getModules = function () {
+    return (this.data && this.data.modules) || [];
+  };
+
+  /* ------------------------------------------
+     getModule(moduleId)
+     Returns a module entry, or null.
+  ------------------------------------------ */
+  CourseConfig.prototype.getModule = function (moduleId) {
+    var modules = this.getModules();
+    for (var i = 0; i < modules.length; i++) {
+      if (modules[i].id === moduleId) return modules[i];
+    }
+    return null;
+  };
+
+  /* ------------------------------------------
+     getSections(moduleId)
+     Returns the module's sections in page
+     order: [{ id, title }].
+  ------------------------------------------ */
+  CourseConfig.prototype.getSections = function (moduleId) {
+    var module = this.getModule(moduleId);
+    return (module && module.sections) || [];
+  };
+
+  /* ------------------------------------------
+     getSectionCount(moduleId)
+     Number of sections in a module, or null
+     if the module isn't in the manifest (or
+     the manifest hasn't loaded).
+  ------------------------------------------ */
+  CourseConfig.prototype.getSectionCount = function (moduleId) {
+    var module = this.getModule(moduleId);
+    return module && module.sections ? module.sections.length : null;
+  };
+
+  /* ------------------------------------------
+     getPassingScore(moduleId)
+     Quiz score (0-100) needed to pass a module:
+     the module's own passingScore, else the
+     course default. 'finalExam' gives the
+     final exam's (finalExam.passingScore).
+  ------------------------------------------ */
+  CourseConfig.prototype.getPassingScore = function (moduleId) {
+    var entry = moduleId === FINAL_EXAM_ID ? this.data && this.data.finalExam : this.getModule(moduleId);
+    if (entry && typeof entry.passingScore === 'number') return entry.passingScore;
+    if (this.data && typeof this.data.defaultPassingScore === 'number') return this.data.defaultPassingScore;
+    return DEFAULT_PASSING_SCORE;
+  };
+
+  /* ------------------------------------------
+     isPassingScore(moduleId, score)
+     Whether a quiz score passes the module.
+  ------------------------------------------ */
+  CourseConfig.prototype.isPassingScore = function (moduleId, score) {
+    return score !== null && score !== undefined && score >= this.getPassingScore(moduleId);
+  };
+
+  /* ------------------------------------------
+     _finishLoading()
+     Internal: flushes ready() callbacks and
+     fires 'courseConfigLoaded' for listeners.
+  ------------------------------------------ */
+  CourseConfig.prototype._finishLoading = function () {
+    var self = this;
+    this.isLoaded = true;
+
+    var callbacks = this.callbacks;
+    this.callbacks = [];
+    callbacks.forEach(function (callback) {
+      callback(self);
+    });
+
+    var event;
+    try {
+      event = new CustomEvent('courseConfigLoaded', { detail: { config: this } });
+    } catch (e) {
+      // Fallback for older browsers
+      event = document.createEvent('CustomEvent');
+      event.initCustomEvent('courseConfigLoaded', true, true, { config: this });
+    }
+    document.dispatchEvent(event);
+  };
+
+  /* ------------------------------------------
+     _checkPageSections()
+     Internal: on a module page, warns when the
+     page's data-section-ids and the manifest
+     have drifted apart.
+  ------------------------------------------ */
+  CourseConfig.prototype._checkPageSections = function () {
+    var moduleEl = document.querySelector('[data-module-id]');
+    if (!this.data || !moduleEl) return;
+
+    var moduleId = moduleEl.getAttribute('data-module-id');
+    if (!this.getModule(moduleId)) {
+      console.warn('[ChildPsych] ' + moduleId + ' is missing from data/course.json.');
+      return;
+    }
+
+    var listed = this.getSections(moduleId).map(function (section) { return section.id; });
+    var onPage = [];
+    document.querySelectorAll('.content-section[data-section-id]').forEach(function (el) {
+      onPage.push(el.getAttribute('data-section-id'));
+    });
+
+    var missing = onPage.filter(function (id) { return listed.indexOf(id) === -1; });
+    var stale = listed.filter(function (id) { return onPage.indexOf(id) === -1; });
+    if (missing.length || stale.length) {
+      console.warn('[ChildPsych] data/course.json is out of date for ' + moduleId +
+        (missing.length ? ' — not listed: ' + missing.join(', ') : '') +
+        (stale.length ? ' — not on page: ' + stale.join(', ') : ''));
+    }
+  };
+
+  /* ------------------------------------------
+     SHARED HELPERS
+     Exposed as window.courseUtils, since this
+     script loads first on every page.
+  ------------------------------------------ */
+  function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, function (ch) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch];
+    });
+  }
+
+  /* Whether sha256Hex() can run (Web Crypto is missing on file:// pages) */
+  function hasWebCrypto() {
+    return !!(window.crypto && window.crypto.subtle && window.TextEncoder);
+  }
+
+  /* Resolves with the SHA-256 of text as 64 hex digits */
+  function sha256Hex(text) {
+    return window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+      .then(function (buffer) {
+        return Array.prototype.map.call(new Uint8Array(buffer), function (byte) {
+          return ('0' + byte.toString(16)).slice(-2);
+        }).join('');
+      });
+  }
+
+  /* 32-bit FNV-1a of text as 8 hex digits: the fallback where Web
+     Crypto isn't available. Not collision-resistant. */
+  function fnv1a(text) {
+    var hash = 0x811c9dc5;
+    for (var i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return ('0000000' + hash.toString(16)).slice(-8);
+  }
+
+  /* This device's id, made on first use (progress time and XP are
+     counted per device so merging two devices' data adds them up) */
+  function deviceId() {
+    var id = window.courseStorage.getItem(DEVICE_KEY);
+    if (!id) {
+      id = 'd' + Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+      try {
+        window.courseStorage.setItem(DEVICE_KEY, id);
+      } catch (e) { /* counted under a fresh id next time */ }
+    }
+    return id;
+  }
+
+  /* ------------------------------------------
+     INITIALIZATION
+  ------------------------------------------ */
+  window.courseUtils = {
+    escapeHTML: escapeHTML,
+    hasWebCrypto: hasWebCrypto,
+    sha256Hex: sha256Hex,
+    fnv1a: fnv1a,
+    deviceId: deviceId
+  };
+
+  window.courseConfig = new CourseConfig();
+  window.courseConfig.load();
+
+  window.courseConfig.ready(function (config) {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', function () { config._checkPageSections(); });
+    } else {
+      config._checkPageSections();
+    }
+  });
+
+})();
@@ -0,0 +1,552 @@
+/* ========================================
+   CHILD PSYCHOLOGY COURSE — DASHBOARD.JS
+   Instructor dashboard (dashboard.html):
+   aggregates learners' progress exports
+   (see transfer.js) into class-level charts
+   a learner × module table with CSV export
+   and per-question item analysis (see
+   analytics.js). Files are read locally only.
+   ======================================== */
+
+(function () {
+  'use strict';
+
+  var QUIZ_DATA_URL = 'data/quizzes.json';
+  var escapeHTML = window.courseUtils.escapeHTML;
+  var MOST_MISSED_COUNT = 10;
+
+  /* Best-score bands for the distribution chart: [label, lowest score] */
+  var SCORE_BANDS = [
+    ['Under 50', 0],
+    ['50–59', 50],
+    ['60–69', 60],
+    ['70–79', 70],
+    ['80–89', 80],
+    ['90–100', 90]
+  ];
+
+  var STATUS_LABELS = {
+    'not-started': 'Not started',
+    'in-progress': 'In progress',
+    'completed': 'Completed'
+  };
+
+  /* ------------------------------------------
+     CLASS DASHBOARD CLASS
+  ------------------------------------------ */
+  function ClassDashboard(root) {
+    this.root = root;
+    this.learners = [];      // [{ key, fileName, name, exportedAt, progress, gamification }]
+    this.questions = {};     // question id -> quizzes.json definition
+
+    this.fileInput = root.querySelector('#dashboardFiles');
+    this.dropzone = root.querySelector('#dashboardDropzone');
+    this.statusEl = root.querySelector('#dashboardStatus');
+    this.learnerList = root.querySelector('#dashboardLearners');
+    this.results = root.querySelector('#dashboardResults');
+    this.itemFilter = root.querySelector('#dashboardItemFilter');
+
+    this._loadQuestions();
+    this._bindEvents();
+  }
+
+  /* ------------------------------------------
+     addFiles(files)
+     Reads and verifies each export with
+     progressTransfer.readImport(). Learners are
+     told apart by the id in the export (the
+     file name for older exports without one): a
+     second export of the same learner replaces
+     the first if it is newer, while two
+     learners who share a name are both kept,
+     with a warning.
+  ------------------------------------------ */
+  ClassDashboard.prototype.addFiles = function (files) {
+    var self = this;
+    files = Array.prototype.slice.call(files || []);
+    if (files.length === 0) return Promise.resolve();
+
+    this._setStatus('Reading ' + files.length + (files.length === 1 ? ' file…' : ' files…'));
+
+    return Promise.all(files.map(function (file) {
+      return file.text()
+        .then(window.progressTransfer.readImport)
+        .then(function (imported) {
+          if (!imported.progress) throw new Error('It has no course progress in it.');
+          return { file: file, imported: imported };
+        })
+        .catch(function (err) {
+          return { file: file, error: file.name + ': ' + err.message };
+        });
+    })).then(function (results) {
+      var errors = [];
+
+      results.forEach(function (result) {
+        if (result.error) {
+          errors.push(result.error);
+        } else {
+          self._addLearner(result.file.name, result.imported);
+        }
+      });
+
+      var warnings = self._sharedNameWarnings();
+      var message = errors.length ? 'Some files couldn’t be added. ' + errors.join(' ') : '';
+      if (warnings.length) message += (message ? ' ' : '') + warnings.join(' ');
+      self._setStatus(message, errors.length > 0);
+      self.render();
+    });
+  };
+
+  ClassDashboard.prototype._addLearner = function (fileName, imported) {
+    var name = imported.learnerName || fileName.replace(/\.json$/i, '');
+    var learner = {
+      key: imported.learnerId ? 'id:' + imported.learnerId : 'file:' + fileName,
+      fileName: fileName,
+      name: name,
+      exportedAt: imported.exportedAt || '',
+      progress: imported.progress,
+      gamification: imported.gamification
+    };
+
+    for (var i = 0; i < this.learners.length; i++) {
+      if (this.learners[i].key === learner.key) {
+        if (learner.exportedAt >= this.learners[i].exportedAt) this.learners[i] = learner;
+        return;
+      }
+    }
+    this.learners.push(learner);
+  };
+
+  /* ------------------------------------------
+     _sharedNameWarnings()
+     Internal: one message per name that more
+     than one listed learner goes by (e.g. every
+     device's unnamed "Learner 1").
+  ------------------------------------------ */
+  ClassDashboard.prototype._sharedNameWarnings = function () {
+    var byName = {};
+    var order = [];
+
+    this.learners.forEach(function (learner) {
+      var name = learner.name.toLowerCase();
+      if (!byName[name]) {
+        byName[name] = [];
+        order.push(name);
+      }
+      byName[name].push(learner);
+    });
+
+    return order.filter(function (name) {
+      return byName[name].length > 1;
+    }).map(function (name) {
+      var learners = byName[name];
+      return learners.length + ' files are from learners called “' + learners[0].name + '” (' +
+             learners.map(function (learner) { return learner.fileName; }).join(', ') +
+             '). They’re listed separately; ask those learners to name their profile before exporting.';
+    });
+  };
+
+  ClassDashboard.prototype.removeLearner = function (key) {
+    this.learners = this.learners.filter(function (learner) { return learner.key !== key; });
+    this.render();
+  };
+
+  /* ------------------------------------------
+     aggregate()
+     Class-level numbers behind every chart and
+     the table, for the modules in the manifest.
+  ------------------------------------------ */
+  ClassDashboard.prototype.aggregate = function () {
+    var self = this;
+    var modules = window.courseConfig.getModules();
+    var summary = {
+      modules: [],
+      statusTotals: { 'completed': 0, 'in-progress': 0, 'not-started': 0 },
+      scoreBands: SCORE_BANDS.map(function () { return 0; }),
+      questions: window.itemAnalytics.collect(this.learners.map(function (learner) { return learner.progress; })),
+      rows: []
+    };
+    var rowsByLearner = this.learners.map(function () { return []; });
+
+    modules.forEach(function (module, index) {
+      var counts = { 'completed': 0, 'in-progress': 0, 'not-started': 0 };
+      var timeTotal = 0;
+      var timedLearners = 0;
+
+      self.learners.forEach(function (learner, learnerIndex) {
+        var record = learner.progress.modules[module.id] || null;
+        var status = record && STATUS_LABELS[record.status] ? record.status : 'not-started';
+        var history = record ? record.quizHistory : [];
+        var time = record ? record.timeSpentMs || 0 : 0;
+        var best = bestScore(history);
+
+        counts[status]++;
+        summary.statusTotals[status]++;
+        if (time > 0) {
+          timeTotal += time;
+          timedLearners++;
+        }
+        if (best !== null) summary.scoreBands[scoreBand(best)]++;
+
+        rowsByLearner[learnerIndex].push({
+          learner: learner.name,
+          module: 'Module ' + (index + 1) + ': ' + module.title,
+          status: STATUS_LABELS[status],
+          sectionsRead: sectionsRead(record, module),
+          sectionsTotal: (module.sections || []).length,
+          attempts: record ? record.quizAttempts || 0 : 0,
+          bestScore: best,
+          latestScore: history.length ? history[history.length - 1].score : null,
+          minutes: Math.round(time / 60000)
+        });
+      });
+
+      summary.modules.push({
+        id: module.id,
+        label: 'M' + (index + 1),
+        title: module.title,
+        counts: counts,
+        averageMinutes: timedLearners ? Math.round(timeTotal / timedLearners / 60000) : 0
+      });
+    });
+
+    summary.rows = Array.prototype.concat.apply([], rowsByLearner);
+    return summary;
+  };
+
+  /* ------------------------------------------
+     render()
+  ------------------------------------------ */
+  ClassDashboard.prototype.render = function () {
+    this._renderLearners();
+    this.results.hidden = this.learners.length === 0;
+    if (this.learners.length === 0) return;
+
+    var summary = this.aggregate();
+    var total = this.learners.length;
+
+    this._renderChart('#chartCompletion', function (el) {
+      window.createGroupedBarChart(el, {
+        labels: summary.modules.map(function (m) { return m.label; }),
+        series: [
+          { name: 'Completed', values: summary.modules.map(function (m) { return percent(m.counts.completed, total); }) },
+          { name: 'In progress', values: summary.modules.map(function (m) { return percent(m.counts['in-progress'], total); }) }
+        ]
+      }, { width: 640 });
+    });
+
+    this._renderChart('#chartStatus', function (el) {
+      window.createDonutChart(el, Object.keys(STATUS_LABELS).map(function (status) {
+        return { label: STATUS_LABELS[status], value: summary.statusTotals[status] };
+      }).filter(function (segment) { return segment.value > 0; }));
+    });
+
+    this._renderChart('#chartScores', function (el) {
+      window.createBarChart(el, SCORE_BANDS.map(function (band, i) {
+        return { label: band[0], value: summary.scoreBands[i] };
+      }));
+    });
+
+    this._renderChart('#chartTime', function (el) {
+      window.createBarChart(el, summary.modules.map(function (m) {
+        return { label: m.label, value: m.averageMinutes };
+      }));
+    });
+
+    this._renderMostMissed(summary.questions);
+    this._renderItemAnalysis();
+    this._renderTable(summary.rows);
+  };
+
+  ClassDashboard.prototype._renderChart = function (selector, draw) {
+    var el = this.root.querySelector(selector);
+    el.innerHTML = '';
+    draw(el);
+  };
+
+  ClassDashboard.prototype._renderLearners = function () {
+    var self = this;
+    this.learnerList.innerHTML = '';
+
+    this.learners.forEach(function (learner) {
+      var item = document.createElement('li');
+      var name = document.createElement('span');
+      name.className = 'dashboard-learner-name';
+      name.textContent = learner.name;
+      var meta = document.createElement('span');
+      meta.className = 'dashboard-learner-meta';
+      var exported = new Date(learner.exportedAt);
+      meta.textContent = learner.fileName + (isNaN(exported) ? '' : ' · exported ' + exported.toLocaleDateString());
+
+      var remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'dashboard-learner-remove';
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', 'Remove ' + learner.name);
+      remove.addEventListener('click', function () { self.removeLearner(learner.key); });
+
+      item.appendChild(name);
+      item.appendChild(meta);
+      item.appendChild(remove);
+      self.learnerList.appendChild(item);
+    });
+  };
+
+  ClassDashboard.prototype._renderMostMissed = function (questionStats) {
+    var self = this;
+    var missed = Object.keys(questionStats).map(function (id) {
+      var stats = questionStats[id];
+      return { questionId: id, attempts: stats.attempts, misses: stats.attempts - stats.correct };
+    })
+      .filter(function (stats) { return stats.misses > 0; })
+      .sort(function (a, b) {
+        return b.misses - a.misses || (b.misses / b.attempts) - (a.misses / a.attempts);
+      })
+      .slice(0, MOST_MISSED_COUNT);
+
+    var list = this.root.querySelector('#dashboardMissed');
+    list.innerHTML = '';
+
+    this._renderChart('#chartMissed', function (el) {
+      if (missed.length === 0) {
+        el.innerHTML = '<p class="dashboard-empty">No missed questions in these files yet.</p>';
+        return;
+      }
+      window.createBarChart(el, missed.map(function (stats) {
+        return { label: stats.questionId, value: stats.misses };
+      }), { width: 640 });
+    });
+
+    missed.forEach(function (stats) {
+      var question = self.questions[stats.questionId];
+      var item = document.createElement('li');
+      var id = document.createElement('strong');
+      id.textContent = stats.questionId;
+      item.appendChild(id);
+      item.appendChild(document.createTextNode(
+        (question ? ' — ' + question.question : '') +
+        ' (missed ' + stats.misses + ' of ' + stats.attempts + ' times)'));
+      list.appendChild(item);
+    });
+  };
+
+  /* ------------------------------------------
+     ITEM ANALYSIS
+     One row per answered question: correct
+     rate, median time to answer, how often
+     each answer choice was picked, and flags
+     for questions worth revising.
+  ------------------------------------------ */
+  ClassDashboard.prototype._renderItemAnalysis = function () {
+    var self = this;
+    var analytics = window.itemAnalytics;
+    var items = analytics.analyze(this.learners.map(function (learner) { return learner.progress; }), this.questions);
+    var flagged = items.filter(function (item) { return item.flags.length > 0; });
+    var shown = this.itemFilter.value === 'flagged' ? flagged : items;
+
+    this.root.querySelector('#dashboardItemSummary').textContent = items.length === 0 ?
+      'No quiz answers in these files yet.' :
+      flagged.length + ' of ' + items.length + ' answered questions flagged. Flags need at least ' +
+      analytics.THRESHOLDS.minAttempts + ' answers.';
+
+    var html = '<thead><tr><th scope="col">Question</th><th scope="col">Answers</th>' +
+               '<th scope="col">Correct</th><th scope="col">Median time</th>' +
+               '<th scope="col">Choices picked</th><th scope="col">Flags</th></tr></thead><tbody>';
+
+    shown.forEach(function (item) {
+      var module = window.courseConfig.getModule(item.moduleId);
+      html += '<tr>';
+      html += '<td><strong>' + escapeHTML(item.questionId) + '</strong>' +
+              (module ? ' <span class="dashboard-item-module">' + escapeHTML(module.title) + '</span>' : '') +
+              (item.question ? '<br>' + escapeHTML(item.question.question) : '') + '</td>';
+      html += '<td>' + item.attempts + '</td>';
+      html += '<td>' + Math.round(item.correctRate * 100) + '%</td>';
+      html += '<td>' + (item.medianTimeMs === null ? '' : formatSeconds(item.medianTimeMs)) + '</td>';
+      html += '<td><ul class="dashboard-item-choices">' + item.choices.map(function (choice) {
+        return '<li' + (choice.isCorrect ? ' class="is-correct"' : '') + '>' +
+               escapeHTML(choice.text) + (choice.isCorrect ? ' ✓' : '') + ' — ' +
+               Math.round(choice.rate * 100) + '%</li>';
+      }).join('') + '</ul></td>';
+      html += '<td>' + item.flags.map(function (flag) {
+        return '<span class="dashboard-flag dashboard-flag-' + flag + '">' + analytics.FLAG_LABELS[flag] + '</span>';
+      }).join(' ') + '</td>';
+      html += '</tr>';
+    });
+
+    if (shown.length === 0 && items.length > 0) {
+      html += '<tr><td colspan="6" class="dashboard-empty">No flagged questions.</td></tr>';
+    }
+
+    this.root.querySelector('#dashboardItems').innerHTML = html + '</tbody>';
+  };
+
+  ClassDashboard.prototype._renderTable = function (rows) {
+    var table = this.root.querySelector('#dashboardTable');
+    var columns = tableColumns();
+    var html = '<thead><tr>' + columns.map(function (column) {
+      return '<th scope="col">' + column.label + '</th>';
+    }).join('') + '</tr></thead><tbody>';
+
+    rows.forEach(function (row) {
+      html += '<tr>' + columns.map(function (column) {
+        return '<td>' + escapeHTML(column.value(row)) + '</td>';
+      }).join('') + '</tr>';
+    });
+
+    table.innerHTML = html + '</tbody>';
+  };
+
+  /* ------------------------------------------
+     downloadCSV()
+     The learner × module table as CSV.
+  ------------------------------------------ */
+  ClassDashboard.prototype.downloadCSV = function () {
+    var rows = this.aggregate().rows;
+    var columns = tableColumns();
+    var lines = [columns.map(function (column) { return csvCell(column.label); }).join(',')];
+
+    rows.forEach(function (row) {
+      lines.push(columns.map(function (column) { return csvCell(column.value(row)); }).join(','));
+    });
+
+    var blob = new Blob([lines.join('\r\n') + '\r\n'], { type: 'text/csv' });
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = 'class-progress-' + new Date().toISOString().split('T')[0] + '.csv';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+  };
+
+  ClassDashboard.prototype._bindEvents = function () {
+    var self = this;
+
+    this.fileInput.addEventListener('change', function () {
+      var files = self.fileInput.files;
+      self.addFiles(files).then(function () { self.fileInput.value = ''; });
+    });
+
+    ['dragenter', 'dragover'].forEach(function (type) {
+      self.dropzone.addEventListener(type, function (e) {
+        e.preventDefault();
+        self.dropzone.classList.add('is-dragover');
+      });
+    });
+    ['dragleave', 'drop'].forEach(function (type) {
+      self.dropzone.addEventListener(type, function (e) {
+        e.preventDefault();
+        self.dropzone.classList.remove('is-dragover');
+      });
+    });
+    this.dropzone.addEventListener('drop', function (e) {
+      self.addFiles(e.dataTransfer && e.dataTransfer.files);
+    });
+
+    this.root.querySelector('#dashboardCsvBtn').addEventListener('click', function () {
+      self.downloadCSV();
+    });
+
+    this.itemFilter.addEventListener('change', function () {
+      if (self.learners.length > 0) self._renderItemAnalysis();
+    });
+  };
+
+  /* Question definitions for the most-missed list and item analysis; the charts work without them */
+  ClassDashboard.prototype._loadQuestions = function () {
+    var self = this;
+
+    fetch(QUIZ_DATA_URL)
+      .then(function (response) {
+        if (!response.ok) throw new Error('Failed to load quiz data: ' + response.status);
+        return response.json();
+      })
+      .then(function (data) {
+        data.modules.forEach(function (module) {
+          (module.questions || []).forEach(function (question) {
+            self.questions[question.id] = question;
+          });
+        });
+        if (self.learners.length > 0) self.render();
+      })
+      .catch(function (err) {
+        console.warn('[ChildPsych] Could not load quiz questions for the dashboard:', err.message);
+      });
+  };
+
+  ClassDashboard.prototype._setStatus = function (message, isError) {
+    this.statusEl.textContent = message;
+    this.statusEl.classList.toggle('is-error', !!isError);
+  };
+
+  /* ------------------------------------------
+     HELPERS
+  ------------------------------------------ */
+  function tableColumns() {
+    return [
+      { label: 'Learner', value: function (row) { return row.learner; } },
+      { label: 'Module', value: function (row) { return row.module; } },
+      { label: 'Status', value: function (row) { return row.status; } },
+      { label: 'Sections read', value: function (row) { return row.sectionsRead + ' / ' + row.sectionsTotal; } },
+      { label: 'Quiz attempts', value: function (row) { return row.attempts; } },
+      { label: 'Best score (%)', value: function (row) { return row.bestScore === null ? '' : row.bestScore; } },
+      { label: 'Latest score (%)', value: function (row) { return row.latestScore === null ? '' : row.latestScore; } },
+      { label: 'Time (min)', value: function (row) { return row.minutes; } }
+    ];
+  }
+
+  function bestScore(history) {
+    return history.reduce(function (best, attempt) {
+      return best === null || attempt.score > best ? attempt.score : best;
+    }, null);
+  }
+
+  function scoreBand(score) {
+    for (var i = SCORE_BANDS.length - 1; i >= 0; i--) {
+      if (score >= SCORE_BANDS[i][1]) return i;
+    }
+    return 0;
+  }
+
+  function sectionsRead(record, module) {
+    if (!record) return 0;
+    var ids = (module.sections || []).map(function (section) { return section.id; });
+    return record.sectionsCompleted.filter(function (id) { return ids.indexOf(id) !== -1; }).length;
+  }
+
+  function formatSeconds(ms) {
+    var seconds = Math.round(ms / 1000);
+    return seconds < 60 ? seconds + 's' : Math.floor(seconds / 60) + 'm ' + (seconds % 60) + 's';
+  }
+
+  function percent(count, total) {
+    return total ? Math.round((count / total) * 100) : 0;
+  }
+
+  /* Quoted where needed; text a spreadsheet would run as a formula
+     (a learner named "=HYPERLINK(…)") is prefixed with ' so it stays text */
+  function csvCell(value) {
+    var text = String(value === null || value === undefined ? '' : value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  /* ------------------------------------------
+     INIT
+  ------------------------------------------ */
+  function init() {
+    var root = document.getElementById('classDashboard');
+    if (!root) return;
+
+    window.courseConfig.ready(function () {
+      window.classDashboard = new ClassDashboard(root);
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
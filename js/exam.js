@@ -0,0 +1,202 @@
+/* ========================================
+   CHILD PSYCHOLOGY COURSE — EXAM.JS
+   Cumulative final exam (exam.html). Draws a
+   fresh set of questions from every module's
+   quiz pool for each attempt, weighted by the
+   `finalExam` settings in quizzes.json, and
+   runs it through a QuizEngine in exam mode:
+   timed, with all feedback held until the
+   per-module breakdown on the results screen.
+   The pass mark is in data/course.json.
+   ======================================== */
+
+(function () {
+  'use strict';
+
+  var QUIZ_DATA_URL = 'data/quizzes.json';
+  var FINAL_EXAM_ID = 'finalExam';
+
+  /* Used for any setting missing from quizzes.json */
+  var DEFAULTS = {
+    title: 'Final Exam',
+    questionCount: 30,
+    timeLimitMinutes: 45,
+    moduleWeights: {}            // moduleId -> weight (missing = 1)
+  };
+
+  /* ------------------------------------------
+     QUOTAS
+     Splits `count` questions across modules in
+     proportion to their weights (largest
+     remainder), never asking a module for more
+     questions than its pool holds; any shortfall
+     goes to the modules with the most to spare.
+     Returns moduleId -> number of questions.
+  ------------------------------------------ */
+  function moduleQuotas(pools, weights, count) {
+    var moduleIds = Object.keys(pools).filter(function (moduleId) {
+      return pools[moduleId].length > 0 && weightOf(weights, moduleId) > 0;
+    });
+    var available = moduleIds.reduce(function (sum, moduleId) { return sum + pools[moduleId].length; }, 0);
+    var quotas = {};
+    var remaining = Math.min(count, available);
+
+    moduleIds.forEach(function (moduleId) { quotas[moduleId] = 0; });
+
+    // Each pass shares what's left among modules that still have questions
+    while (remaining > 0) {
+      var open = moduleIds.filter(function (moduleId) { return quotas[moduleId] < pools[moduleId].length; });
+      var totalWeight = open.reduce(function (sum, moduleId) { return sum + weightOf(weights, moduleId); }, 0);
+      var shares = open.map(function (moduleId) {
+        var exact = remaining * weightOf(weights, moduleId) / totalWeight;
+        return { moduleId: moduleId, whole: Math.floor(exact), fraction: exact - Math.floor(exact) };
+      });
+      var handed = 0;
+
+      shares.forEach(function (share) {
+        var room = pools[share.moduleId].length - quotas[share.moduleId];
+        var give = Math.min(share.whole, room);
+        quotas[share.moduleId] += give;
+        handed += give;
+      });
+
+      // Leftover seats go to the largest remainders
+      shares.sort(function (a, b) { return b.fraction - a.fraction; });
+      for (var i = 0; i < shares.length && handed < remaining; i++) {
+        if (quotas[shares[i].moduleId] < pools[shares[i].moduleId].length) {
+          quotas[shares[i].moduleId]++;
+          handed++;
+        }
+      }
+
+      remaining -= handed;
+    }
+
+    return quotas;
+  }
+
+  function weightOf(weights, moduleId) {
+    return typeof weights[moduleId] === 'number' ? weights[moduleId] : 1;
+  }
+
+  /* ------------------------------------------
+     SAMPLING
+     One attempt's questions, each tagged with
+     its module so the results can be broken
+     down by module.
+  ------------------------------------------ */
+  function sampleQuestions(pools, settings) {
+    var quotas = moduleQuotas(pools, settings.moduleWeights, settings.questionCount);
+    var questions = [];
+
+    Object.keys(quotas).forEach(function (moduleId) {
+      shuffle(pools[moduleId]).slice(0, quotas[moduleId]).forEach(function (question) {
+        questions.push(Object.assign({}, question, { moduleId: moduleId }));
+      });
+    });
+
+    return questions;
+  }
+
+  function shuffle(arr) {
+    var copy = arr.slice();
+    for (var i = copy.length - 1; i > 0; i--) {
+      var j = Math.floor(Math.random() * (i + 1));
+      var tmp = copy[i];
+      copy[i] = copy[j];
+      copy[j] = tmp;
+    }
+    return copy;
+  }
+
+  /* ------------------------------------------
+     EXAM PAGE
+     Intro panel with the rules and the
+     learner's record, then the exam itself.
+  ------------------------------------------ */
+  function initExamPage() {
+    var root = document.getElementById('finalExam');
+    if (!root) return;
+
+    var introEl = root.querySelector('#examIntro');
+    var rulesEl = root.querySelector('#examRules');
+    var recordEl = root.querySelector('#examRecord');
+    var startBtn = root.querySelector('#examStartBtn');
+    var container = root.querySelector('#exam-quiz-container');
+
+    showRecord(recordEl);
+    document.addEventListener('progressUpdated', function () { showRecord(recordEl); });
+
+    fetch(QUIZ_DATA_URL)
+      .then(function (response) {
+        if (!response.ok) throw new Error('Failed to load quiz data: ' + response.status);
+        return response.json();
+      })
+      .then(function (data) {
+        var settings = Object.assign({}, DEFAULTS, data.finalExam || {});
+        var pools = {};
+        data.modules.forEach(function (module) {
+          pools[module.moduleId] = module.questions || [];
+        });
+
+        var total = Object.keys(pools).reduce(function (sum, moduleId) { return sum + pools[moduleId].length; }, 0);
+        var count = Math.min(settings.questionCount, total);
+        var multiplier = window.learnerProfiles ? window.learnerProfiles.getTimeMultiplier() : 1;
+        window.courseConfig.ready(function (config) {
+          rulesEl.textContent = count + ' questions drawn from all ' + Object.keys(pools).length + ' modules, ' +
+            (multiplier ? Math.round(settings.timeLimitMinutes * multiplier) + ' minutes' +
+              (multiplier !== 1 ? ' (with extra time)' : '') : 'no time limit') +
+            ', ' + config.getPassingScore(FINAL_EXAM_ID) + '% to pass. ' +
+            'You won’t see whether an answer was right until the end.';
+        });
+
+        startBtn.disabled = false;
+        startBtn.addEventListener('click', function () {
+          introEl.hidden = true;
+
+          var engine = new window.QuizEngine(FINAL_EXAM_ID, {
+            mode: 'exam',
+            title: settings.title,
+            draw: function () { return sampleQuestions(pools, settings); },
+            timeLimitMs: settings.timeLimitMinutes * 60 * 1000
+          });
+          engine.render(container);
+          container.quizEngine = engine;
+          window.quizEngine = engine;
+          container.focus();
+        });
+      })
+      .catch(function (err) {
+        console.error('[ChildPsych] Could not load the final exam:', err);
+        rulesEl.textContent = 'Could not load the final exam. Please refresh the page.';
+      });
+  }
+
+  /* Best score and pass status from progress.js */
+  function showRecord(recordEl) {
+    if (!recordEl || !window.progressManager) return;
+
+    var exam = window.progressManager.getFinalExam();
+    if (exam.attempts === 0) {
+      recordEl.textContent = 'You haven’t taken the final exam yet.';
+    } else {
+      recordEl.textContent = (exam.passed ?
+        'Passed on ' + new Date(exam.passedAt).toLocaleDateString() + '. ' : 'Not passed yet. ') +
+        'Best score ' + exam.bestScore + '% over ' + exam.attempts + (exam.attempts === 1 ? ' attempt.' : ' attempts.');
+    }
+  }
+
+  /* ------------------------------------------
+     INIT
+  ------------------------------------------ */
+  window.finalExam = {
+    moduleQuotas: moduleQuotas,
+    sampleQuestions: sampleQuestions
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initExamPage);
+  } else {
+    initExamPage();
+  }
+})();
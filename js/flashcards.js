@@ -0,0 +1,371 @@
+/* ========================================
+   CHILD PSYCHOLOGY COURSE — FLASHCARDS.JS
+   Flashcard study mode (flashcards.html).
+   Harvests every .flip-card from the module
+   pages into one deck per module; learners
+   mark each card "Knew it" / "Didn't know"
+   and cards come back on a spaced-repetition
+   schedule (ReviewScheduler, review.js) kept
+   per card. Module pages get a link to their
+   deck under each flip-card grid.
+   ======================================== */
+
+(function () {
+  'use strict';
+
+  var STORAGE_KEY = 'childPsych_flashcards';
+  var escapeHTML = window.courseUtils.escapeHTML;
+  var NEW_CARDS_PER_SESSION = 10;   // unseen cards added to a study session
+
+  /* SM-2 grades for the two answers */
+  var QUALITY_KNEW = 4;
+  var QUALITY_FORGOT = 1;
+
+  /* ------------------------------------------
+     HARVESTING
+     A card is { id, moduleId, front, back,
+     source }. Ids are the module id plus a
+     slug of the front, so progress survives
+     cards being reordered on the page.
+  ------------------------------------------ */
+  function harvestCards(doc, moduleId) {
+    var cards = [];
+    var seen = {};
+
+    doc.querySelectorAll('.flip-card').forEach(function (el) {
+      var front = el.querySelector('.flip-card-front');
+      var back = el.querySelector('.flip-card-back');
+      if (!front || !back) return;
+
+      var heading = front.querySelector('h1, h2, h3, h4, h5, h6, p');
+      var frontText = cleanText(heading || front);
+      var sourceEl = back.querySelector('.flip-card-source');
+      var paragraphs = back.querySelectorAll('p');
+      var backText = paragraphs.length ?
+        Array.prototype.map.call(paragraphs, cleanText).join('\n') :
+        cleanText(back).replace(sourceEl ? cleanText(sourceEl) : '', '').trim();
+      if (!frontText || !backText) return;
+
+      var id = moduleId + '/' + slugify(frontText);
+      if (seen[id]) id += '-' + (++seen[id]);
+      else seen[id] = 1;
+
+      cards.push({
+        id: id,
+        moduleId: moduleId,
+        front: frontText,
+        back: backText,
+        source: sourceEl ? cleanText(sourceEl) : ''
+      });
+    });
+
+    return cards;
+  }
+
+  /* Every module's deck, in course order: [{ module, cards }] */
+  function loadDecks() {
+    var modules = window.courseConfig.getModules();
+
+    return Promise.all(modules.map(function (module) {
+      return fetch(module.page)
+        .then(function (response) {
+          if (!response.ok) throw new Error('Failed to load ' + module.page + ': ' + response.status);
+          return response.text();
+        })
+        .then(function (html) {
+          var doc = new DOMParser().parseFromString(html, 'text/html');
+          return { module: module, cards: harvestCards(doc, module.id) };
+        })
+        .catch(function (err) {
+          console.warn('[ChildPsych] Could not load flashcards from ' + module.page + ':', err.message);
+          return { module: module, cards: [] };
+        });
+    })).then(function (decks) {
+      return decks.filter(function (deck) { return deck.cards.length > 0; });
+    });
+  }
+
+  function cleanText(el) {
+    return el.textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'card';
+  }
+
+  /* ------------------------------------------
+     FLASHCARD STUDY CLASS
+  ------------------------------------------ */
+  function FlashcardStudy(root, scheduler) {
+    this.root = root;
+    this.scheduler = scheduler;
+    this.decks = [];
+    this.queue = [];          // cards left in this session
+    this.graded = {};         // card id -> true once graded this session
+    this.knewCount = 0;
+    this.sessionSize = 0;
+
+    this.deckList = root.querySelector('#flashcardDecks');
+    this.studyEl = root.querySelector('#flashcardStudy');
+    this.statusEl = root.querySelector('#flashcardStatus');
+  }
+
+  FlashcardStudy.prototype.init = function () {
+    var self = this;
+
+    return loadDecks().then(function (decks) {
+      self.decks = decks;
+      if (decks.length === 0) {
+        self.statusEl.textContent = 'Could not load any flashcards. Please refresh the page.';
+        return;
+      }
+
+      var requested = new URLSearchParams(window.location.search).get('deck');
+      if (requested && self._findDeck(requested)) {
+        self.start(requested);
+      } else {
+        self.showDecks();
+      }
+    });
+  };
+
+  /* ------------------------------------------
+     deckStats(cards)
+     { total, due, fresh } for a set of cards.
+  ------------------------------------------ */
+  FlashcardStudy.prototype.deckStats = function (cards) {
+    var dueIds = this.scheduler.getDue();
+    var self = this;
+
+    return cards.reduce(function (stats, card) {
+      if (!self.scheduler.has(card.id)) stats.fresh++;
+      else if (dueIds.indexOf(card.id) !== -1) stats.due++;
+      return stats;
+    }, { total: cards.length, due: 0, fresh: 0 });
+  };
+
+  /* ------------------------------------------
+     DECK LIST
+  ------------------------------------------ */
+  FlashcardStudy.prototype.showDecks = function () {
+    var self = this;
+    var all = this._allCards();
+    var allStats = this.deckStats(all);
+
+    this.studyEl.hidden = true;
+    this.deckList.hidden = false;
+    this.statusEl.textContent = allStats.due + allStats.fresh === 0 ?
+      'You’re all caught up! Come back tomorrow for the next cards.' :
+      allStats.due + ' cards due and ' + allStats.fresh + ' new across all modules.';
+
+    this.deckList.innerHTML = '';
+    this._renderDeckButton('all', 'All modules', allStats);
+    this.decks.forEach(function (deck, index) {
+      self._renderDeckButton(deck.module.id, 'Module ' + (index + 1) + ': ' + deck.module.title, self.deckStats(deck.cards));
+    });
+  };
+
+  FlashcardStudy.prototype._renderDeckButton = function (deckId, label, stats) {
+    var self = this;
+    var item = document.createElement('li');
+    var btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'flashcard-deck';
+    btn.disabled = stats.due + stats.fresh === 0;
+
+    var title = document.createElement('span');
+    title.className = 'flashcard-deck-title';
+    title.textContent = label;
+    var meta = document.createElement('span');
+    meta.className = 'flashcard-deck-meta';
+    meta.textContent = stats.total + ' cards · ' + stats.due + ' due · ' + stats.fresh + ' new';
+
+    btn.appendChild(title);
+    btn.appendChild(meta);
+    btn.addEventListener('click', function () { self.start(deckId); });
+    item.appendChild(btn);
+    this.deckList.appendChild(item);
+  };
+
+  /* ------------------------------------------
+     start(deckId)
+     Studies the deck's due cards (most
+     overdue first), then up to
+     NEW_CARDS_PER_SESSION unseen ones.
+     deckId is a module id or 'all'.
+  ------------------------------------------ */
+  FlashcardStudy.prototype.start = function (deckId) {
+    var self = this;
+    var cards = deckId === 'all' ? this._allCards() : this._findDeck(deckId).cards;
+    var byId = {};
+    cards.forEach(function (card) { byId[card.id] = card; });
+
+    var due = this.scheduler.getDue().filter(function (id) { return byId[id]; })
+      .map(function (id) { return byId[id]; });
+    var fresh = cards.filter(function (card) { return !self.scheduler.has(card.id); })
+      .slice(0, NEW_CARDS_PER_SESSION);
+
+    this.queue = due.concat(fresh);
+    this.graded = {};
+    this.knewCount = 0;
+    this.sessionSize = this.queue.length;
+
+    this.deckList.hidden = true;
+    this.studyEl.hidden = false;
+    this.statusEl.textContent = '';
+
+    if (this.queue.length === 0) {
+      this._showDone();
+      return;
+    }
+    this._showCard();
+  };
+
+  FlashcardStudy.prototype._showCard = function () {
+    var self = this;
+    var card = this.queue[0];
+    var module = window.courseConfig.getModule(card.moduleId);
+    var done = Object.keys(this.graded).length;
+
+    var html = '<p class="flashcard-progress">Card ' + Math.min(done + 1, this.sessionSize) + ' of ' + this.sessionSize +
+               (module ? ' · ' + escapeHTML(module.title) : '') + '</p>';
+    html += '<div class="flip-card flashcard" tabindex="0" role="button" aria-expanded="false" aria-label="Show answer">';
+    html += '<div class="flip-card-inner">';
+    html += '<div class="flip-card-front"><h4>' + escapeHTML(card.front) + '</h4>' +
+            '<span class="flip-card-hint">Tap to flip</span></div>';
+    html += '<div class="flip-card-back">' + card.back.split('\n').map(function (line) {
+      return '<p>' + escapeHTML(line) + '</p>';
+    }).join('') + (card.source ? '<span class="flip-card-source">' + escapeHTML(card.source) + '</span>' : '') + '</div>';
+    html += '</div></div>';
+    html += '<div class="flashcard-actions">';
+    html += '<button type="button" class="btn btn-primary" data-flashcard="flip">Show Answer</button>';
+    html += '<button type="button" class="btn btn-secondary" data-flashcard="forgot" hidden>Didn’t Know</button>';
+    html += '<button type="button" class="btn btn-primary" data-flashcard="knew" hidden>Knew It</button>';
+    html += '</div>';
+
+    this.studyEl.innerHTML = html;
+
+    var cardEl = this.studyEl.querySelector('.flashcard');
+    var flipBtn = this.studyEl.querySelector('[data-flashcard="flip"]');
+    var gradeBtns = this.studyEl.querySelectorAll('[data-flashcard="forgot"], [data-flashcard="knew"]');
+
+    function flip() {
+      if (cardEl.classList.contains('is-flipped')) return;
+      cardEl.classList.add('is-flipped');
+      cardEl.setAttribute('aria-expanded', 'true');
+      flipBtn.hidden = true;
+      gradeBtns.forEach(function (btn) { btn.hidden = false; });
+      gradeBtns[1].focus();
+    }
+
+    cardEl.addEventListener('click', flip);
+    cardEl.addEventListener('keydown', function (e) {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        flip();
+      }
+    });
+    flipBtn.addEventListener('click', flip);
+    gradeBtns[0].addEventListener('click', function () { self.grade(false); });
+    gradeBtns[1].addEventListener('click', function () { self.grade(true); });
+    flipBtn.focus();
+  };
+
+  /* ------------------------------------------
+     grade(knewIt)
+     Only a card's first answer in a session
+     is scheduled; a missed card goes to the
+     back of the queue for another look.
+  ------------------------------------------ */
+  FlashcardStudy.prototype.grade = function (knewIt) {
+    var card = this.queue.shift();
+    if (!card) return;
+
+    if (!this.graded[card.id]) {
+      this.graded[card.id] = true;
+      this.scheduler.review(card.id, knewIt ? QUALITY_KNEW : QUALITY_FORGOT);
+      if (knewIt) this.knewCount++;
+    }
+    if (!knewIt) this.queue.push(card);
+
+    if (this.queue.length === 0) {
+      this._showDone();
+    } else {
+      this._showCard();
+    }
+  };
+
+  FlashcardStudy.prototype._showDone = function () {
+    var self = this;
+    var next = this.scheduler.getNextDue();
+
+    var html = '<div class="flashcard-done">';
+    html += '<p class="flashcard-done-title">' + (this.sessionSize ? 'Deck done!' : 'Nothing to study in this deck today.') + '</p>';
+    if (this.sessionSize) {
+      html += '<p>You knew ' + this.knewCount + ' of ' + this.sessionSize + ' cards the first time.</p>';
+    }
+    if (next) {
+      html += '<p>Next cards are due on ' + new Date(next + 'T00:00:00').toLocaleDateString() + '.</p>';
+    }
+    html += '<button type="button" class="btn btn-primary" data-flashcard="decks">Back to Decks</button>';
+    html += '</div>';
+
+    this.studyEl.innerHTML = html;
+    var backBtn = this.studyEl.querySelector('[data-flashcard="decks"]');
+    backBtn.addEventListener('click', function () { self.showDecks(); });
+    backBtn.focus();
+  };
+
+  FlashcardStudy.prototype._findDeck = function (moduleId) {
+    for (var i = 0; i < this.decks.length; i++) {
+      if (this.decks[i].module.id === moduleId) return this.decks[i];
+    }
+    return null;
+  };
+
+  FlashcardStudy.prototype._allCards = function () {
+    return Array.prototype.concat.apply([], this.decks.map(function (deck) { return deck.cards; }));
+  };
+
+  /* ------------------------------------------
+     MODULE PAGE LINKS
+     "Study as flashcards" under each grid.
+  ------------------------------------------ */
+  function addDeckLinks() {
+    var moduleEl = document.querySelector('[data-module-id]');
+    if (!moduleEl) return;
+    var moduleId = moduleEl.getAttribute('data-module-id');
+
+    document.querySelectorAll('.flip-cards-grid').forEach(function (grid) {
+      var link = document.createElement('a');
+      link.className = 'flashcard-deck-link';
+      link.href = 'flashcards.html?deck=' + encodeURIComponent(moduleId);
+      link.textContent = 'Study these as flashcards →';
+      grid.parentNode.insertBefore(link, grid.nextSibling);
+    });
+  }
+
+  /* ------------------------------------------
+     INIT
+  ------------------------------------------ */
+  var scheduler = new window.ReviewScheduler(STORAGE_KEY);
+  window.flashcardScheduler = scheduler;
+
+  function init() {
+    addDeckLinks();
+
+    var root = document.getElementById('flashcards');
+    if (!root) return;
+
+    window.courseConfig.ready(function () {
+      window.flashcardStudy = new FlashcardStudy(root, scheduler);
+      window.flashcardStudy.init();
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
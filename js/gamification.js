@@ -8,6 +8,7 @@
   'use strict';
 
   var STORAGE_KEY = 'childPsych_gamification';
+  var CURRENT_VERSION = 2;
   var prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 
   /* ------------------------------------------
@@ -22,12 +23,19 @@
     inlineQuiz: 20,
     inlineQuizWrong: 5,
     quizQuestion: 10,
-    quizPass: 50
+    quizPass: 50,
+    reviewQuestion: 5,
+    reviewComplete: 15,
+    finalExamPass: 200
   };
 
   /* XP per level — each level needs more XP */
   var XP_PER_LEVEL = 100;
 
+  /* xpByDevice / interactionsByDevice entry for counts from before v2,
+     device unknown */
+  var EARLIER_COUNTS = 'earlier';
+
   /* ------------------------------------------
      BADGE DEFINITIONS
   ------------------------------------------ */
@@ -39,19 +47,138 @@
     { id: 'fact-finder',   icon: '\uD83D\uDCA1', name: 'Fact Finder',   desc: 'Reveal 10 hidden facts',               condition: function (d) { return d.interactions.reveal >= 10; } },
     { id: 'streak-3',      icon: '\uD83D\uDD25', name: 'On Fire',       desc: 'Learn 3 days in a row',                condition: function (d) { return d.streak.current >= 3; } },
     { id: 'streak-7',      icon: '\uD83C\uDF1F', name: 'Streak Master', desc: 'Learn 7 days in a row',                condition: function (d) { return d.streak.current >= 7; } },
-    { id: 'explorer',      icon: '\uD83E\uDDED', name: 'Explorer',      desc: 'Visit all 10 modules',                 condition: function (d) { return d.modulesVisited.length >= 10; } }
+    { id: 'explorer',      icon: '\uD83E\uDDED', name: 'Explorer',      desc: 'Visit every module',                   condition: function (d) { return d.modulesVisited.length >= courseModuleCount(); } },
+    { id: 'graduate',      icon: '\uD83C\uDF93', name: 'Graduate',      desc: 'Pass the cumulative final exam',       condition: function (d) { return d.finalExamPassed; } }
   ];
 
+  /* Number of modules in the course manifest (10 until it has loaded) */
+  function courseModuleCount() {
+    var modules = window.courseConfig ? window.courseConfig.getModules() : [];
+    return modules.length || 10;
+  }
+
+  /* ------------------------------------------
+     SCHEMA MIGRATIONS (see migrations.js)
+       v0 — unversioned: xp, level, streak, badges,
+            interactions, modulesVisited, perfectQuiz
+       v1 — adds version; fills fields missing from
+            early saves
+       v2 — adds xpByDevice and interactionsByDevice;
+            xp and interactions become their totals
+  ------------------------------------------ */
+  var MIGRATIONS = [
+    {
+      version: 1,
+      migrate: function (data) {
+        var defaults = GamificationManager.prototype.createDefault();
+        for (var k in defaults) {
+          if (!(k in data)) data[k] = defaults[k];
+        }
+        if (data.interactions && !data.interactions.total) data.interactions.total = 0;
+        return data;
+      }
+    },
+    {
+      version: 2,
+      migrate: function (data) {
+        countAsEarlier(data);
+        return data;
+      }
+    }
+  ];
+
+  /* Unversioned data is v0 */
+  function getSchemaVersion(data) {
+    return typeof data.version === 'number' ? data.version : 0;
+  }
+
+  /* Minimal shape every version must have after migrating */
+  function isValidGamification(data) {
+    return typeof data.xp === 'number' &&
+      !!data.streak && typeof data.streak === 'object' &&
+      !!data.badges && typeof data.badges === 'object' &&
+      !!data.interactions && typeof data.interactions === 'object' &&
+      Array.isArray(data.modulesVisited);
+  }
+
+  /* Per-device counts for data saved before devices were told apart */
+  function countAsEarlier(data) {
+    data.xpByDevice = {};
+    data.interactionsByDevice = {};
+    if (data.xp > 0) data.xpByDevice[EARLIER_COUNTS] = data.xp;
+    var interactions = data.interactions || {};
+    var counted = Object.keys(interactions).some(function (type) { return interactions[type] > 0; });
+    if (counted) data.interactionsByDevice[EARLIER_COUNTS] = Object.assign({}, interactions);
+  }
+
+  function isCountMap(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function totalXP(xpByDevice) {
+    return Object.keys(xpByDevice).reduce(function (total, device) {
+      return total + (xpByDevice[device] || 0);
+    }, 0);
+  }
+
+  function totalInteractions(interactionsByDevice) {
+    var totals = GamificationManager.prototype.createDefault().interactions;
+    Object.keys(interactionsByDevice).forEach(function (device) {
+      var counts = interactionsByDevice[device];
+      Object.keys(counts).forEach(function (type) {
+        totals[type] = (totals[type] || 0) + (counts[type] || 0);
+      });
+    });
+    return totals;
+  }
+
+  /* Counts as 'key:value' pairs in key order, nested maps included */
+  function countsSignature(counts) {
+    return Object.keys(counts).sort().map(function (key) {
+      var value = counts[key];
+      return key + ':' + (isCountMap(value) ? '{' + countsSignature(value) + '}' : value);
+    }).join(',');
+  }
+
+  /* What a tab merge can change — equal signatures need no re-save */
+  function contentSignature(data) {
+    return JSON.stringify([
+      countsSignature(data.xpByDevice),
+      data.streak,
+      Object.keys(data.badges).sort(),
+      countsSignature(data.interactionsByDevice),
+      data.modulesVisited.slice().sort(),
+      !!data.perfectQuiz,
+      !!data.finalExamPassed,
+      data.resetAt || null
+    ]);
+  }
+
   /* ------------------------------------------
      GAMIFICATION MANAGER CLASS
   ------------------------------------------ */
   function GamificationManager() {
+    var self = this;
     this.data = this.load();
     this.updateStreak();
     this.toastEl = null;
     this.xpBarEl = null;
     this.pendingToasts = [];
     this.toastShowing = false;
+
+    // Another tab saved: fold its XP and badges into ours. Otherwise the
+    // stored copy changed underneath us (async backend, remote sync): reload.
+    document.addEventListener('storageChanged', function (e) {
+      if (e.detail.keys.indexOf(STORAGE_KEY) === -1) return;
+      if (e.detail.source === 'tab') {
+        self._mergeFromOtherTab(window.courseStorage.getItem(STORAGE_KEY));
+        return;
+      }
+      self.data = self.load();
+      self.updateStreak();
+      self.updateXPBar();
+      self.updateBadgeGallery();
+    });
   }
 
   /* ------------------------------------------
@@ -59,39 +186,162 @@
   ------------------------------------------ */
   GamificationManager.prototype.createDefault = function () {
     return {
-      xp: 0,
+      version: CURRENT_VERSION,
+      xp: 0,                 // total of xpByDevice
+      xpByDevice: {},        // XP earned per device id, see addXP()
       level: 1,
       streak: { current: 0, lastDate: null, longest: 0 },
       badges: {},
       interactions: { think: 0, reveal: 0, scenario: 0, flip: 0, inlineQuiz: 0, total: 0 },
+      interactionsByDevice: {},  // interactions per device id, totalled in interactions
       modulesVisited: [],
-      perfectQuiz: false
+      perfectQuiz: false,
+      finalExamPassed: false,
+      resetAt: null          // ISO time of the last replaceData()
     };
   };
 
   GamificationManager.prototype.load = function () {
     try {
-      var raw = localStorage.getItem(STORAGE_KEY);
-      if (raw) {
-        var parsed = JSON.parse(raw);
-        // Merge with defaults for forward compat
-        var defaults = this.createDefault();
-        for (var k in defaults) {
-          if (!(k in parsed)) parsed[k] = defaults[k];
-        }
-        if (!parsed.interactions.total) parsed.interactions.total = 0;
-        return parsed;
-      }
+      var raw = window.courseStorage.getItem(STORAGE_KEY);
+      var parsed = raw && this._upgrade(raw, true);
+      if (parsed) return parsed;
     } catch (e) { /* ignore */ }
     return this.createDefault();
   };
 
+  /* Brings data of any schema version up to date without touching
+     storage (used when importing a file); null if invalid. */
+  GamificationManager.prototype.upgradeData = function (data) {
+    try {
+      return this._upgrade(JSON.stringify(data), false);
+    } catch (e) {
+      return null;
+    }
+  };
+
+  GamificationManager.prototype._upgrade = function (raw, persist) {
+    var parsed = window.StorageMigrations.run({
+      storageKey: STORAGE_KEY,
+      raw: raw,
+      currentVersion: CURRENT_VERSION,
+      migrations: MIGRATIONS,
+      getVersion: getSchemaVersion,
+      validate: isValidGamification,
+      persist: persist
+    });
+    if (!parsed) return null;
+
+    if (!isCountMap(parsed.xpByDevice) || !isCountMap(parsed.interactionsByDevice)) countAsEarlier(parsed);
+
+    // Merge with defaults for forward compat
+    var defaults = this.createDefault();
+    for (var k in defaults) {
+      if (!(k in parsed)) parsed[k] = defaults[k];
+    }
+    if (!parsed.interactions.total) parsed.interactions.total = 0;
+    return parsed;
+  };
+
   GamificationManager.prototype.save = function () {
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+      window.courseStorage.setItem(STORAGE_KEY, JSON.stringify(this.data));
     } catch (e) { /* ignore */ }
   };
 
+  /* ------------------------------------------
+     IMPORTED DATA
+     replaceData() swaps in an upgraded import;
+     mergeData() adds up the XP and interactions
+     each device counted and keeps the better of
+     every other value, so nothing earned on
+     either device is lost.
+  ------------------------------------------ */
+  GamificationManager.prototype.replaceData = function (data) {
+    this.data = data;
+    this.data.resetAt = new Date().toISOString();
+    this.save();
+    this.updateXPBar();
+    this.updateBadgeGallery();
+  };
+
+  GamificationManager.prototype.mergeData = function (data) {
+    this._mergeValues(data);
+    this.save();
+    this.updateXPBar();
+    this.updateBadgeGallery();
+  };
+
+  /* ------------------------------------------
+     OTHER TABS
+     Another tab's save merges in as an import
+     would; a later replaceData() wins outright.
+     Ours is saved back only if it held something
+     theirs didn't, so tabs settle rather than echo.
+  ------------------------------------------ */
+  GamificationManager.prototype._mergeFromOtherTab = function (raw) {
+    var theirs = raw ? this._upgrade(raw, false) : null;
+    if (!theirs) return;
+
+    var theirsReset = theirs.resetAt || '';
+    var mineReset = this.data.resetAt || '';
+
+    if (theirsReset > mineReset) {
+      this.data = theirs;
+    } else if (mineReset > theirsReset) {
+      this.save();
+    } else {
+      this._mergeValues(theirs);
+      if (contentSignature(this.data) !== contentSignature(theirs)) this.save();
+    }
+
+    this.updateXPBar();
+    this.updateBadgeGallery();
+  };
+
+  /* Folds data into ours: counts per device, else the better value */
+  GamificationManager.prototype._mergeValues = function (data) {
+    var local = this.data;
+
+    // Each device's counts only grow, so the larger copy of them is the
+    // latest; counts from before v2 can't be told apart and stay a max
+    Object.keys(data.xpByDevice).forEach(function (device) {
+      local.xpByDevice[device] = Math.max(local.xpByDevice[device] || 0, data.xpByDevice[device] || 0);
+    });
+    Object.keys(data.interactionsByDevice).forEach(function (device) {
+      var mine = local.interactionsByDevice[device] || (local.interactionsByDevice[device] = {});
+      var theirs = data.interactionsByDevice[device];
+      Object.keys(theirs).forEach(function (type) {
+        mine[type] = Math.max(mine[type] || 0, theirs[type] || 0);
+      });
+    });
+    local.xp = totalXP(local.xpByDevice);
+    local.interactions = totalInteractions(local.interactionsByDevice);
+    local.level = Math.floor(local.xp / XP_PER_LEVEL) + 1;
+    local.perfectQuiz = local.perfectQuiz || !!data.perfectQuiz;
+    local.finalExamPassed = local.finalExamPassed || !!data.finalExamPassed;
+
+    // Streak: the most recent day's streak wins; keep the longest ever
+    if (data.streak.lastDate && (!local.streak.lastDate || data.streak.lastDate > local.streak.lastDate)) {
+      local.streak.current = data.streak.current;
+      local.streak.lastDate = data.streak.lastDate;
+    }
+    local.streak.longest = Math.max(local.streak.longest, data.streak.longest || 0, local.streak.current);
+
+    // Badges: union, keeping the earliest earned date
+    Object.keys(data.badges).forEach(function (badgeId) {
+      var mine = local.badges[badgeId];
+      var theirs = data.badges[badgeId];
+      if (!mine || (theirs.earnedAt && mine.earnedAt && theirs.earnedAt < mine.earnedAt)) {
+        local.badges[badgeId] = theirs;
+      }
+    });
+
+    data.modulesVisited.forEach(function (moduleId) {
+      if (local.modulesVisited.indexOf(moduleId) === -1) local.modulesVisited.push(moduleId);
+    });
+  };
+
   /* ------------------------------------------
      STREAK TRACKING
   ------------------------------------------ */
@@ -139,7 +389,9 @@
      XP MANAGEMENT
   ------------------------------------------ */
   GamificationManager.prototype.addXP = function (amount, sourceEl) {
-    this.data.xp += amount;
+    var device = window.courseUtils.deviceId();
+    this.data.xpByDevice[device] = (this.data.xpByDevice[device] || 0) + amount;
+    this.data.xp = totalXP(this.data.xpByDevice);
 
     var newLevel = Math.floor(this.data.xp / XP_PER_LEVEL) + 1;
     var leveledUp = newLevel > this.data.level;
@@ -176,10 +428,13 @@
      INTERACTION RECORDING
   ------------------------------------------ */
   GamificationManager.prototype.recordInteraction = function (type, extra) {
+    var device = window.courseUtils.deviceId();
+    var counts = this.data.interactionsByDevice[device] || (this.data.interactionsByDevice[device] = {});
     if (this.data.interactions[type] !== undefined) {
-      this.data.interactions[type] += 1;
+      counts[type] = (counts[type] || 0) + 1;
     }
-    this.data.interactions.total += 1;
+    counts.total = (counts.total || 0) + 1;
+    this.data.interactions = totalInteractions(this.data.interactionsByDevice);
 
     var xp = 0;
     if (type === 'inlineQuiz') {
@@ -197,10 +452,20 @@
 
   /* ------------------------------------------
      QUIZ COMPLETION HOOK
+     `lifelines` ({ hints, eliminations,
+     hintXp, eliminateXp }) is the help used
+     during the attempt and what each use costs
+     (quiz.js, from quizzes.json), though never
+     more than the attempt earned.
   ------------------------------------------ */
-  GamificationManager.prototype.onQuizComplete = function (score, totalQuestions, correctCount) {
-    var xp = (correctCount * XP_VALUES.quizQuestion);
-    if (score >= 70) xp += XP_VALUES.quizPass;
+  GamificationManager.prototype.onQuizComplete = function (score, totalQuestions, correctCount, moduleId, lifelines) {
+    var xp = Math.round(correctCount * XP_VALUES.quizQuestion);
+    var passed = window.courseConfig.isPassingScore(moduleId, score);
+    if (passed) xp += XP_VALUES.quizPass;
+    if (lifelines) {
+      xp = Math.max(0, xp - (lifelines.hints || 0) * (lifelines.hintXp || 0) -
+                           (lifelines.eliminations || 0) * (lifelines.eliminateXp || 0));
+    }
     if (score === 100) this.data.perfectQuiz = true;
 
     this.save();
@@ -208,6 +473,38 @@
     this.checkBadges();
   };
 
+  /* ------------------------------------------
+     DAILY REVIEW HOOK (review.js)
+     A finished review counts as a day of
+     learning even if the page was opened
+     before midnight.
+  ------------------------------------------ */
+  GamificationManager.prototype.onReviewComplete = function (correctCount, totalQuestions) {
+    var xp = Math.round(correctCount * XP_VALUES.reviewQuestion);
+    if (totalQuestions > 0) xp += XP_VALUES.reviewComplete;
+
+    this.updateStreak();
+    this.addXP(xp);
+    this.checkBadges();
+  };
+
+  /* ------------------------------------------
+     FINAL EXAM HOOK (exam.js)
+     The pass bonus is only paid for the first
+     pass, so retakes can't farm it.
+  ------------------------------------------ */
+  GamificationManager.prototype.onFinalExamComplete = function (score, correctCount, passed) {
+    var xp = Math.round(correctCount * XP_VALUES.quizQuestion);
+    if (passed && !this.data.finalExamPassed) {
+      xp += XP_VALUES.finalExamPass;
+      this.data.finalExamPassed = true;
+    }
+
+    this.save();
+    this.addXP(xp);
+    this.checkBadges();
+  };
+
   /* ------------------------------------------
      BADGE CHECKING
   ------------------------------------------ */
@@ -351,6 +648,12 @@
 
     // Expose for other scripts
     window.gamification = gm;
+
+    // Tell the learner when progress can no longer be saved (quota, private mode)
+    document.addEventListener('storageError', function () {
+      gm.showToast('\u26A0\uFE0F', 'Progress Not Saved',
+        'Your browser blocked saving, so progress will only last for this visit. Export it from the home page to keep it.');
+    });
   }
 
   if (document.readyState === 'loading') {
@@ -26,16 +26,56 @@
       });
   }
 
+  /* ------------------------------------------
+     SHARED MARKUP
+  ------------------------------------------ */
+  function renderLabel() {
+    var html = '<div class="inline-quiz-label">';
+    html += '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3"/><circle cx="12" cy="17" r=".5"/></svg>';
+    html += 'Quick Check';
+    html += '</div>';
+    return html;
+  }
+
+  /* `credit` is 0-1: full, partial (multiple select) or none */
+  function showFeedback(feedbackEl, credit, explanation) {
+    var title;
+    if (credit >= 1) {
+      feedbackEl.className = 'quiz-feedback is-correct';
+      title = '&#10003; Correct!';
+    } else if (credit > 0) {
+      feedbackEl.className = 'quiz-feedback is-partial';
+      title = '&#189; Partly right (' + Math.round(credit * 100) + '% credit)';
+    } else {
+      feedbackEl.className = 'quiz-feedback is-incorrect';
+      title = '&#10007; Not quite';
+    }
+
+    feedbackEl.style.display = '';
+    feedbackEl.innerHTML =
+      '<div class="quiz-feedback-title">' + title + '</div>' +
+      '<p>' + (explanation || '') + '</p>';
+  }
+
+  /* Misses and partly right answers come back in the Daily Review (review.js) */
+  function recordReview(question, credit) {
+    if (window.reviewScheduler && question.id) {
+      window.reviewScheduler.recordAnswer(question.id, credit);
+    }
+  }
+
   /* ------------------------------------------
      RENDER A SINGLE INLINE QUIZ
   ------------------------------------------ */
   function renderInlineQuiz(container, question) {
+    if (question.type === 'multiple-select') {
+      renderInlineMultiSelect(container, question);
+      return;
+    }
+
     var html = '';
 
-    html += '<div class="inline-quiz-label">';
-    html += '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3"/><circle cx="12" cy="17" r=".5"/></svg>';
-    html += 'Quick Check';
-    html += '</div>';
+    html += renderLabel();
 
     html += '<div class="quiz-question">' + question.question + '</div>';
     html += '<div class="quiz-options">';
@@ -77,19 +117,13 @@
         });
 
         // Show feedback
-        feedbackEl.style.display = '';
-        feedbackEl.className = 'quiz-feedback ' + (isCorrect ? 'is-correct' : 'is-incorrect');
-
-        var icon = isCorrect ? '&#10003;' : '&#10007;';
-        var title = isCorrect ? 'Correct!' : 'Not quite';
-        feedbackEl.innerHTML =
-          '<div class="quiz-feedback-title">' + icon + ' ' + title + '</div>' +
-          '<p>' + (question.explanation || '') + '</p>';
+        showFeedback(feedbackEl, isCorrect ? 1 : 0, question.explanation);
 
         // Record XP
         if (window.gamification) {
           window.gamification.recordInteraction('inlineQuiz', isCorrect);
         }
+        recordReview(question, isCorrect ? 1 : 0);
       });
 
       optBtn.addEventListener('keydown', function (e) {
@@ -101,6 +135,99 @@
     });
   }
 
+  /* ------------------------------------------
+     RENDER A MULTIPLE-SELECT INLINE QUIZ
+     Options toggle like checkboxes; a Check
+     button grades the whole selection, with
+     the question's `scoring` rule as in the
+     module quiz (QuizEngine.scoreMultipleSelect).
+  ------------------------------------------ */
+  function renderInlineMultiSelect(container, question) {
+    var correctIds = question.correctAnswers || [];
+    var html = '';
+
+    html += renderLabel();
+
+    html += '<div class="quiz-question">' + question.question + '</div>';
+    html += '<div class="quiz-options quiz-options-multi" role="group" aria-label="Select all that apply">';
+
+    question.options.forEach(function (opt) {
+      html += '<button class="quiz-option" data-option-id="' + opt.id + '" role="checkbox" aria-checked="false">';
+      html += '<span class="quiz-option-marker">' + opt.id.toUpperCase() + '</span>';
+      html += '<span class="quiz-option-text">' + opt.text + '</span>';
+      html += '</button>';
+    });
+
+    html += '</div>';
+    html += '<button class="quiz-btn quiz-btn-check" disabled>Check</button>';
+    html += '<div class="quiz-feedback" style="display:none;" aria-live="polite"></div>';
+
+    container.innerHTML = html;
+
+    var options = container.querySelectorAll('.quiz-option');
+    var checkBtn = container.querySelector('.quiz-btn-check');
+    var feedbackEl = container.querySelector('.quiz-feedback');
+    var selected = [];
+    var answered = false;
+
+    options.forEach(function (optBtn) {
+      optBtn.addEventListener('click', function () {
+        if (answered) return;
+
+        var optionId = optBtn.getAttribute('data-option-id');
+        var index = selected.indexOf(optionId);
+        if (index === -1) {
+          selected.push(optionId);
+        } else {
+          selected.splice(index, 1);
+        }
+
+        optBtn.classList.toggle('is-selected', index === -1);
+        optBtn.setAttribute('aria-checked', String(index === -1));
+        checkBtn.disabled = selected.length === 0;
+      });
+    });
+
+    checkBtn.addEventListener('click', function () {
+      if (answered || selected.length === 0) return;
+      answered = true;
+      checkBtn.style.display = 'none';
+
+      var credit = window.QuizEngine.scoreMultipleSelect(question, selected);
+
+      // Mark every option: picked and right, picked but wrong, or missed
+      question.options.forEach(function (opt, i) {
+        var o = options[i];
+        var isKey = correctIds.indexOf(opt.id) !== -1;
+        var isPicked = selected.indexOf(opt.id) !== -1;
+
+        o.style.pointerEvents = 'none';
+        o.classList.remove('is-selected');
+        if (isPicked && isKey) {
+          o.classList.add('is-correct');
+        } else if (isPicked) {
+          o.classList.add('is-incorrect');
+        } else if (isKey) {
+          o.classList.add('is-correct-answer');
+        }
+
+        if (opt.feedback && (isPicked || isKey)) {
+          var note = document.createElement('span');
+          note.className = 'quiz-option-feedback';
+          note.textContent = opt.feedback;
+          o.querySelector('.quiz-option-text').appendChild(note);
+        }
+      });
+
+      showFeedback(feedbackEl, credit, question.explanation);
+
+      if (window.gamification) {
+        window.gamification.recordInteraction('inlineQuiz', credit >= 1);
+      }
+      recordReview(question, credit);
+    });
+  }
+
   /* ------------------------------------------
      INIT: FIND ALL INLINE QUIZ PLACEHOLDERS
      AND POPULATE WITH QUIZ DATA
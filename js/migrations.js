@@ -0,0 +1,128 @@
+/* ========================================
+   CHILD PSYCHOLOGY COURSE — MIGRATIONS.JS
+   Versioned schema migrations for stored
+   course data. Shared by progress.js and
+   gamification.js.
+   ======================================== */
+
+(function () {
+  'use strict';
+
+  /* Stand-in storage for runs that must not write anything */
+  var NULL_STORAGE = { setItem: function () {} };
+
+  /* ------------------------------------------
+     run(options)
+     Parses a stored JSON blob and upgrades it
+     to the current schema version.
+
+     options:
+       storageKey     — storage key the blob came from
+       raw            — the stored string
+       currentVersion — integer schema version the code expects
+       getVersion     — function (data) -> integer version of the blob
+       migrations     — [{ version: n, migrate: function (data) -> data }]
+                        each step upgrades from n - 1 to n
+       validate       — function (data) -> boolean
+       storage        — optional, defaults to courseStorage (storage.js)
+       persist        — optional, false to leave storage untouched
+                        (e.g. when upgrading an imported file)
+
+     Before any step runs, the raw blob is copied
+     to `<storageKey>_backup_v<from>`; the migrated
+     blob is then written back under storageKey.
+
+     Returns the data, or null if the blob is
+     unreadable or fails validation (the caller
+     starts fresh; the backup is kept).
+  ------------------------------------------ */
+  function run(options) {
+    var storage = options.persist === false ? NULL_STORAGE : (options.storage || window.courseStorage || window.localStorage);
+    var data;
+
+    try {
+      data = JSON.parse(options.raw);
+    } catch (e) {
+      console.warn('[ChildPsych] Stored data for ' + options.storageKey + ' is not valid JSON.');
+      backup(storage, options.storageKey, 'corrupt', options.raw);
+      return null;
+    }
+    if (!data || typeof data !== 'object') return null;
+
+    var fromVersion = options.getVersion(data);
+
+    if (fromVersion > options.currentVersion) {
+      // Written by a newer version of the course — use as-is, never downgrade
+      console.warn('[ChildPsych] ' + options.storageKey + ' is schema v' + fromVersion +
+        ', newer than v' + options.currentVersion + '.');
+      return options.validate(data) ? data : null;
+    }
+
+    if (fromVersion < options.currentVersion) {
+      backup(storage, options.storageKey, 'v' + fromVersion, options.raw);
+
+      try {
+        data = applyMigrations(data, fromVersion, options.currentVersion, options.migrations);
+      } catch (e) {
+        console.warn('[ChildPsych] Could not migrate ' + options.storageKey + ' from v' +
+          fromVersion + ':', e.message);
+        return null;
+      }
+    }
+
+    if (!options.validate(data)) {
+      console.warn('[ChildPsych] Stored data for ' + options.storageKey + ' failed validation.');
+      if (fromVersion === options.currentVersion) {
+        backup(storage, options.storageKey, 'invalid', options.raw);
+      }
+      return null;
+    }
+
+    if (fromVersion < options.currentVersion && options.persist !== false) {
+      try {
+        storage.setItem(options.storageKey, JSON.stringify(data));
+      } catch (e) { /* keep the migrated copy in memory only */ }
+      console.info('[ChildPsych] Migrated ' + options.storageKey + ' from v' + fromVersion +
+        ' to v' + options.currentVersion + '.');
+    }
+
+    return data;
+  }
+
+  /* ------------------------------------------
+     applyMigrations(data, from, to, migrations)
+     Runs every step with from < version <= to,
+     in version order, stamping data.version
+     after each one.
+  ------------------------------------------ */
+  function applyMigrations(data, from, to, migrations) {
+    var steps = migrations.slice().sort(function (a, b) { return a.version - b.version; });
+
+    steps.forEach(function (step) {
+      if (step.version <= from || step.version > to) return;
+      data = step.migrate(data) || data;
+      data.version = step.version;
+    });
+
+    return data;
+  }
+
+  /* ------------------------------------------
+     backup(storage, storageKey, label, raw)
+     Keeps a copy of the raw blob under
+     `<storageKey>_backup_<label>`.
+  ------------------------------------------ */
+  function backup(storage, storageKey, label, raw) {
+    try {
+      storage.setItem(storageKey + '_backup_' + label, raw);
+    } catch (e) {
+      console.warn('[ChildPsych] Could not back up ' + storageKey + ':', e.message);
+    }
+  }
+
+  window.StorageMigrations = {
+    run: run,
+    applyMigrations: applyMigrations
+  };
+
+})();
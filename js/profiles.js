@@ -0,0 +1,652 @@
+/* ========================================
+   CHILD PSYCHOLOGY COURSE — PROFILES.JS
+   Learner profiles for shared devices: each
+   profile gets its own namespace in the
+   storage layer (storage.js), so progress,
+   quiz attempts, XP and badges stay separate.
+   The switcher lives in the main-nav.
+
+   The optional PIN keeps classmates from
+   opening each other's profile by accident;
+   it is not a security boundary (the data
+   itself is readable in browser storage).
+
+   Each profile also keeps its extra-time
+   accommodation for timed quizzes, set by
+   the learner or an instructor from the same
+   menu.
+   ======================================== */
+
+(function () {
+  'use strict';
+
+  var REGISTRY_VERSION = 1;
+  var PROFILES_KEY = window.CourseStorage.PROFILES_KEY;
+  var DEFAULT_PROFILE = window.CourseStorage.DEFAULT_PROFILE;
+  var GUEST_PROFILE = window.CourseStorage.GUEST_PROFILE;
+  var MAX_NAME_LENGTH = 30;
+  var PIN_PATTERN = /^\d{4,8}$/;
+
+  /* Per-profile settings, namespaced like progress */
+  var SETTINGS_KEY = 'childPsych_settings';
+
+  /* Extra-time choices: quiz time limits are multiplied by the value
+     (0 = no time limits) */
+  var TIME_MULTIPLIERS = [
+    { value: 1, label: 'Standard time' },
+    { value: 1.25, label: 'Time and a quarter (×1.25)' },
+    { value: 1.5, label: 'Time and a half (×1.5)' },
+    { value: 2, label: 'Double time (×2)' },
+    { value: 0, label: 'No time limits' }
+  ];
+
+  /* ------------------------------------------
+     PIN HASHING
+     SHA-256 (Web Crypto) salted with the
+     profile id, with an FNV-1a fallback where
+     Web Crypto isn't available (file://).
+  ------------------------------------------ */
+  function hashPin(profileId, pin, algorithm) {
+    var text = profileId + ':' + pin;
+    var canDigest = window.courseUtils.hasWebCrypto();
+
+    if (algorithm === 'FNV-1a' || (!algorithm && !canDigest)) {
+      return Promise.resolve({ algorithm: 'FNV-1a', value: window.courseUtils.fnv1a(text) });
+    }
+    if (!canDigest) {
+      return Promise.reject(new Error('This browser can’t check PINs here. Open the course over https to continue.'));
+    }
+
+    return window.courseUtils.sha256Hex(text).then(function (hex) {
+      return { algorithm: 'SHA-256', value: hex };
+    });
+  }
+
+  /* ------------------------------------------
+     PROFILE MANAGER CLASS
+     Reads and writes the device's profile list
+     through courseStorage.getProfiles() /
+     saveProfiles(). Methods that change it
+     return promises that reject with a
+     learner-facing message.
+  ------------------------------------------ */
+  function ProfileManager() {
+    this.registry = window.courseStorage.getProfiles() || this.createDefault();
+    this.activeId = window.courseStorage.profileId;
+  }
+
+  /* ------------------------------------------
+     createDefault()
+     Before any profile is made, whoever used
+     the device so far is "Learner 1" (the
+     original, un-namespaced storage keys).
+  ------------------------------------------ */
+  ProfileManager.prototype.createDefault = function () {
+    return {
+      version: REGISTRY_VERSION,
+      activeId: DEFAULT_PROFILE,
+      profiles: [
+        { id: DEFAULT_PROFILE, name: 'Learner 1', pin: null, createdAt: null }
+      ]
+    };
+  };
+
+  /* ------------------------------------------
+     getProfiles()
+     Saved profiles, in creation order (the
+     guest profile isn't listed).
+  ------------------------------------------ */
+  ProfileManager.prototype.getProfiles = function () {
+    return this.registry.profiles.slice();
+  };
+
+  ProfileManager.prototype.getProfile = function (profileId) {
+    for (var i = 0; i < this.registry.profiles.length; i++) {
+      if (this.registry.profiles[i].id === profileId) return this.registry.profiles[i];
+    }
+    return null;
+  };
+
+  /* ------------------------------------------
+     getActive()
+     The profile this page is using.
+  ------------------------------------------ */
+  ProfileManager.prototype.getActive = function () {
+    if (this.isGuest()) return { id: GUEST_PROFILE, name: 'Guest', pin: null, createdAt: null };
+    return this.getProfile(this.activeId) || { id: this.activeId, name: 'Learner', pin: null, createdAt: null };
+  };
+
+  ProfileManager.prototype.isGuest = function () {
+    return this.activeId === GUEST_PROFILE;
+  };
+
+  /* ------------------------------------------
+     createProfile(name, pin)
+     Adds a profile (pin optional) and resolves
+     with it. Doesn't switch to it.
+  ------------------------------------------ */
+  ProfileManager.prototype.createProfile = function (name, pin) {
+    var self = this;
+    var profile;
+
+    try {
+      profile = {
+        id: 'p' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name: this._checkName(name, null),
+        pin: null,
+        createdAt: new Date().toISOString()
+      };
+      if (pin) this._checkPin(pin);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    var hashed = pin ? hashPin(profile.id, pin) : Promise.resolve(null);
+    return hashed.then(function (hash) {
+      profile.pin = hash;
+      self.registry.profiles.push(profile);
+      self._save();
+      return profile;
+    });
+  };
+
+  /* ------------------------------------------
+     renameProfile(profileId, name)
+  ------------------------------------------ */
+  ProfileManager.prototype.renameProfile = function (profileId, name) {
+    var profile = this.getProfile(profileId);
+    if (!profile) return Promise.reject(new Error('That profile no longer exists.'));
+
+    try {
+      profile.name = this._checkName(name, profileId);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    this._save();
+    return Promise.resolve(profile);
+  };
+
+  /* ------------------------------------------
+     setPin(profileId, pin)
+     Sets, changes or (with an empty pin)
+     removes a profile's PIN.
+  ------------------------------------------ */
+  ProfileManager.prototype.setPin = function (profileId, pin) {
+    var self = this;
+    var profile = this.getProfile(profileId);
+    if (!profile) return Promise.reject(new Error('That profile no longer exists.'));
+
+    if (!pin) {
+      profile.pin = null;
+      this._save();
+      return Promise.resolve(profile);
+    }
+
+    try {
+      this._checkPin(pin);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    return hashPin(profileId, pin).then(function (hash) {
+      profile.pin = hash;
+      self._save();
+      return profile;
+    });
+  };
+
+  /* ------------------------------------------
+     checkPin(profileId, pin)
+     Resolves true if the profile has no PIN or
+     the PIN matches.
+  ------------------------------------------ */
+  ProfileManager.prototype.checkPin = function (profileId, pin) {
+    var profile = this.getProfile(profileId);
+    if (!profile || !profile.pin) return Promise.resolve(true);
+    if (!pin) return Promise.resolve(false);
+
+    return hashPin(profileId, pin, profile.pin.algorithm).then(function (hash) {
+      return hash.value === profile.pin.value;
+    });
+  };
+
+  /* ------------------------------------------
+     deleteProfile(profileId)
+     Removes a profile and everything stored
+     for it. The active profile can't be
+     deleted — switch away first.
+  ------------------------------------------ */
+  ProfileManager.prototype.deleteProfile = function (profileId) {
+    var self = this;
+    if (profileId === this.activeId) {
+      return Promise.reject(new Error('Switch to another profile before deleting this one.'));
+    }
+    if (!this.getProfile(profileId)) return Promise.reject(new Error('That profile no longer exists.'));
+
+    return window.courseStorage.removeProfile(profileId).then(function () {
+      self.registry.profiles = self.registry.profiles.filter(function (profile) {
+        return profile.id !== profileId;
+      });
+      self._save();
+    });
+  };
+
+  /* ------------------------------------------
+     switchTo(profileId)
+     Makes a profile (or the guest profile)
+     active on this device and reloads the page
+     so every manager loads its data. Check the
+     PIN first (checkPin). Leaving the guest
+     profile discards its progress.
+  ------------------------------------------ */
+  ProfileManager.prototype.switchTo = function (profileId) {
+    if (profileId !== GUEST_PROFILE && !this.getProfile(profileId)) {
+      return Promise.reject(new Error('That profile no longer exists.'));
+    }
+
+    this.registry.activeId = profileId;
+    if (!this._save()) {
+      return Promise.reject(new Error('Profiles need browser storage, which isn’t available here.'));
+    }
+
+    var leaving = this.isGuest() ? window.courseStorage.removeProfile(GUEST_PROFILE) : Promise.resolve();
+    return leaving.then(function () {
+      window.location.reload();
+    });
+  };
+
+  /* ------------------------------------------
+     getTimeMultiplier() / setTimeMultiplier(m)
+     The active profile's extra time for timed
+     quizzes (see TIME_MULTIPLIERS); read by
+     QuizEngine whenever it shows a countdown.
+  ------------------------------------------ */
+  ProfileManager.prototype.getTimeMultiplier = function () {
+    var value = this._loadSettings().timeMultiplier;
+    return isTimeMultiplier(value) ? value : 1;
+  };
+
+  ProfileManager.prototype.setTimeMultiplier = function (multiplier) {
+    multiplier = Number(multiplier);
+    if (!isTimeMultiplier(multiplier)) return Promise.reject(new Error('Please pick one of the listed options.'));
+
+    var settings = this._loadSettings();
+    settings.timeMultiplier = multiplier;
+    try {
+      window.courseStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+      return Promise.reject(new Error('Sorry, the setting couldn’t be saved.'));
+    }
+    return Promise.resolve(multiplier);
+  };
+
+  /* ------------------------------------------
+     getLearnerId()
+     A random id made the first time the active
+     profile exports its progress and kept in its
+     settings, so an instructor's dashboard can
+     tell learners apart even when every device
+     still calls its learner "Learner 1".
+  ------------------------------------------ */
+  ProfileManager.prototype.getLearnerId = function () {
+    var settings = this._loadSettings();
+    if (typeof settings.learnerId === 'string' && settings.learnerId) return settings.learnerId;
+
+    settings.learnerId = 'l' + Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+    try {
+      window.courseStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) { /* still unique for this export */ }
+    return settings.learnerId;
+  };
+
+  ProfileManager.prototype._loadSettings = function () {
+    try {
+      var settings = JSON.parse(window.courseStorage.getItem(SETTINGS_KEY));
+      if (settings && typeof settings === 'object') return settings;
+    } catch (e) { /* ignore */ }
+    return {};
+  };
+
+  function isTimeMultiplier(value) {
+    return TIME_MULTIPLIERS.some(function (option) { return option.value === value; });
+  }
+
+  /* ------------------------------------------
+     _checkName(name, profileId)
+     Internal: trimmed, non-empty, unique name
+     (profileId is the one being renamed).
+  ------------------------------------------ */
+  ProfileManager.prototype._checkName = function (name, profileId) {
+    name = String(name || '').replace(/\s+/g, ' ').trim();
+    if (!name) throw new Error('Please enter a name.');
+    if (name.length > MAX_NAME_LENGTH) throw new Error('Please use ' + MAX_NAME_LENGTH + ' characters or fewer.');
+
+    var taken = this.registry.profiles.some(function (profile) {
+      return profile.id !== profileId && profile.name.toLowerCase() === name.toLowerCase();
+    });
+    if (taken || name.toLowerCase() === 'guest') throw new Error('There’s already a profile called ' + name + '.');
+    return name;
+  };
+
+  ProfileManager.prototype._checkPin = function (pin) {
+    if (!PIN_PATTERN.test(pin)) throw new Error('A PIN is 4 to 8 digits.');
+  };
+
+  ProfileManager.prototype._save = function () {
+    return window.courseStorage.saveProfiles(this.registry);
+  };
+
+  /* ------------------------------------------
+     PROFILE SWITCHER UI
+     A menu in the main-nav listing profiles,
+     with a small inline form for PINs, new
+     profiles, renaming, deleting and extra
+     time.
+  ------------------------------------------ */
+  function initProfileSwitcher(manager) {
+    var navInner = document.querySelector('.nav-inner');
+    if (!navInner) return;
+
+    var active = manager.getActive();
+    var wrapper = document.createElement('div');
+    wrapper.className = 'profile-switcher';
+    wrapper.innerHTML =
+      '<button type="button" class="profile-switcher-toggle" aria-expanded="false" aria-controls="profileMenu">' +
+        '<span class="profile-avatar" aria-hidden="true"></span>' +
+        '<span class="profile-switcher-name"></span>' +
+      '</button>' +
+      '<div class="profile-menu" id="profileMenu" hidden>' +
+        '<p class="profile-menu-title">Who’s learning?</p>' +
+        '<ul class="profile-list"></ul>' +
+        '<div class="profile-menu-actions"></div>' +
+        '<form class="profile-form" hidden novalidate></form>' +
+      '</div>';
+
+    var toggle = wrapper.querySelector('.profile-switcher-toggle');
+    var menu = wrapper.querySelector('.profile-menu');
+    var list = wrapper.querySelector('.profile-list');
+    var actions = wrapper.querySelector('.profile-menu-actions');
+    var form = wrapper.querySelector('.profile-form');
+
+    wrapper.querySelector('.profile-avatar').textContent = active.name.charAt(0).toUpperCase();
+    wrapper.querySelector('.profile-switcher-name').textContent = active.name;
+    toggle.setAttribute('aria-label', 'Learner profile: ' + active.name + (manager.isGuest() ? ' (progress isn’t saved)' : ''));
+    if (manager.isGuest()) wrapper.classList.add('is-guest');
+
+    // After the XP bar (gamification.js), before the nav links
+    var navLinks = navInner.querySelector('.nav-links');
+    if (navLinks) {
+      navInner.insertBefore(wrapper, navLinks);
+    } else {
+      navInner.appendChild(wrapper);
+    }
+
+    function openMenu() {
+      renderMenu();
+      menu.hidden = false;
+      toggle.setAttribute('aria-expanded', 'true');
+      var current = list.querySelector('[aria-current="true"]') || list.querySelector('button');
+      if (current) current.focus();
+    }
+
+    function closeMenu(returnFocus) {
+      menu.hidden = true;
+      form.hidden = true;
+      toggle.setAttribute('aria-expanded', 'false');
+      if (returnFocus) toggle.focus();
+    }
+
+    function addButton(parent, label, className, onClick) {
+      var btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = className;
+      btn.textContent = label;
+      btn.addEventListener('click', onClick);
+      parent.appendChild(btn);
+      return btn;
+    }
+
+    function renderMenu() {
+      list.innerHTML = '';
+      actions.innerHTML = '';
+      form.hidden = true;
+
+      manager.getProfiles().forEach(function (profile) {
+        var item = document.createElement('li');
+        var isActive = profile.id === manager.activeId;
+        var btn = addButton(item, profile.name, 'profile-option' + (isActive ? ' is-active' : ''), function () {
+          if (isActive) return closeMenu(true);
+          if (!profile.pin) return switchTo(profile.id);
+          showForm({
+            title: 'Enter the PIN for ' + profile.name,
+            fields: [{ name: 'pin', label: 'PIN', type: 'password' }],
+            submitLabel: 'Switch',
+            onSubmit: function (values) {
+              return manager.checkPin(profile.id, values.pin).then(function (ok) {
+                if (!ok) throw new Error('That PIN isn’t right.');
+                return manager.switchTo(profile.id);
+              });
+            }
+          });
+        });
+        if (isActive) btn.setAttribute('aria-current', 'true');
+        if (profile.pin) {
+          btn.textContent = profile.name + ' \uD83D\uDD12';
+          btn.setAttribute('aria-label', profile.name + ' (PIN protected)');
+        }
+
+        if (!isActive) {
+          var del = addButton(item, '×', 'profile-option-delete', function () {
+            showForm({
+              title: 'Delete ' + profile.name + ' and all of their progress? This can’t be undone.',
+              fields: profile.pin ? [{ name: 'pin', label: 'PIN', type: 'password' }] : [],
+              submitLabel: 'Delete',
+              onSubmit: function (values) {
+                return manager.checkPin(profile.id, values.pin).then(function (ok) {
+                  if (!ok) throw new Error('That PIN isn’t right.');
+                  return manager.deleteProfile(profile.id);
+                }).then(renderMenu);
+              }
+            });
+          });
+          del.setAttribute('aria-label', 'Delete ' + profile.name);
+        }
+        list.appendChild(item);
+      });
+
+      var guestItem = document.createElement('li');
+      var guestBtn = addButton(guestItem, 'Guest', 'profile-option profile-option-guest' + (manager.isGuest() ? ' is-active' : ''), function () {
+        if (manager.isGuest()) return closeMenu(true);
+        switchTo(GUEST_PROFILE);
+      });
+      if (manager.isGuest()) guestBtn.setAttribute('aria-current', 'true');
+      var guestNote = document.createElement('span');
+      guestNote.className = 'profile-option-note';
+      guestNote.textContent = 'Progress is cleared when this tab closes';
+      guestBtn.appendChild(guestNote);
+      list.appendChild(guestItem);
+
+      addButton(actions, 'New learner', 'btn btn-secondary btn-sm', function () {
+        showForm({
+          title: 'New learner',
+          fields: [
+            { name: 'name', label: 'Name', type: 'text' },
+            { name: 'pin', label: 'PIN (optional, 4–8 digits)', type: 'password' }
+          ],
+          submitLabel: 'Create and switch',
+          onSubmit: function (values) {
+            return manager.createProfile(values.name, values.pin).then(function (profile) {
+              return manager.switchTo(profile.id);
+            });
+          }
+        });
+      });
+
+      addButton(actions, 'Extra time', 'btn btn-secondary btn-sm', function () {
+        showForm({
+          title: 'Time for timed quizzes',
+          fields: [{
+            name: 'timeMultiplier',
+            label: 'Time allowed',
+            type: 'select',
+            value: String(manager.getTimeMultiplier()),
+            options: TIME_MULTIPLIERS
+          }],
+          submitLabel: 'Save',
+          onSubmit: function (values) {
+            return manager.setTimeMultiplier(values.timeMultiplier).then(function () {
+              closeMenu(true);
+            });
+          }
+        });
+      });
+
+      if (manager.isGuest()) return;
+
+      var current = manager.getActive();
+      addButton(actions, 'Rename', 'btn btn-secondary btn-sm', function () {
+        showForm({
+          title: 'Rename ' + current.name,
+          fields: [{ name: 'name', label: 'Name', type: 'text', value: current.name }],
+          submitLabel: 'Rename',
+          onSubmit: function (values) {
+            return manager.renameProfile(current.id, values.name).then(function (profile) {
+              wrapper.querySelector('.profile-avatar').textContent = profile.name.charAt(0).toUpperCase();
+              wrapper.querySelector('.profile-switcher-name').textContent = profile.name;
+              toggle.setAttribute('aria-label', 'Learner profile: ' + profile.name);
+              renderMenu();
+            });
+          }
+        });
+      });
+
+      addButton(actions, current.pin ? 'Change PIN' : 'Add PIN', 'btn btn-secondary btn-sm', function () {
+        showForm({
+          title: current.pin ? 'New PIN for ' + current.name + ' (leave blank to remove it)' : 'PIN for ' + current.name,
+          fields: [{ name: 'pin', label: 'PIN (4–8 digits)', type: 'password' }],
+          submitLabel: 'Save PIN',
+          onSubmit: function (values) {
+            return manager.setPin(current.id, values.pin).then(renderMenu);
+          }
+        });
+      });
+    }
+
+    /* Renders the inline form: { title, fields, submitLabel, onSubmit(values) -> Promise } */
+    function showForm(options) {
+      form.innerHTML = '';
+
+      var title = document.createElement('p');
+      title.className = 'profile-form-title';
+      title.textContent = options.title;
+      form.appendChild(title);
+
+      options.fields.forEach(function (field) {
+        var label = document.createElement('label');
+        label.className = 'profile-form-field';
+        label.textContent = field.label;
+        var input;
+        if (field.type === 'select') {
+          input = document.createElement('select');
+          field.options.forEach(function (option) {
+            var el = document.createElement('option');
+            el.value = String(option.value);
+            el.textContent = option.label;
+            input.appendChild(el);
+          });
+        } else {
+          input = document.createElement('input');
+          input.type = field.type;
+          input.autocomplete = 'off';
+        }
+        input.name = field.name;
+        if (field.type === 'password') input.inputMode = 'numeric';
+        if (field.type === 'text') input.maxLength = MAX_NAME_LENGTH;
+        if (field.value) input.value = field.value;
+        label.appendChild(input);
+        form.appendChild(label);
+      });
+
+      var error = document.createElement('p');
+      error.className = 'profile-form-error';
+      error.setAttribute('role', 'alert');
+      form.appendChild(error);
+
+      var buttons = document.createElement('div');
+      buttons.className = 'profile-form-actions';
+      var submit = document.createElement('button');
+      submit.type = 'submit';
+      submit.className = 'btn btn-primary btn-sm';
+      submit.textContent = options.submitLabel;
+      buttons.appendChild(submit);
+      addButton(buttons, 'Cancel', 'btn btn-secondary btn-sm', function () {
+        form.hidden = true;
+        toggle.focus();
+      });
+      form.appendChild(buttons);
+
+      form.onsubmit = function (e) {
+        e.preventDefault();
+        var values = {};
+        options.fields.forEach(function (field) {
+          values[field.name] = form.elements[field.name].value.trim();
+        });
+        submit.disabled = true;
+        error.textContent = '';
+        options.onSubmit(values).catch(function (err) {
+          error.textContent = err.message;
+          submit.disabled = false;
+        });
+      };
+
+      form.hidden = false;
+      (form.querySelector('input, select') || submit).focus();
+    }
+
+    function switchTo(profileId) {
+      manager.switchTo(profileId).catch(function (err) {
+        showForm({ title: err.message, fields: [], submitLabel: 'OK', onSubmit: function () {
+          closeMenu(true);
+          return Promise.resolve();
+        } });
+      });
+    }
+
+    toggle.addEventListener('click', function () {
+      if (menu.hidden) {
+        openMenu();
+      } else {
+        closeMenu(false);
+      }
+    });
+
+    wrapper.addEventListener('keydown', function (e) {
+      if (e.key === 'Escape' && !menu.hidden) closeMenu(true);
+    });
+
+    document.addEventListener('click', function (e) {
+      if (!menu.hidden && !wrapper.contains(e.target)) closeMenu(false);
+    });
+  }
+
+  /* ------------------------------------------
+     INIT
+  ------------------------------------------ */
+  var manager = new ProfileManager();
+  window.learnerProfiles = manager;
+
+  // Another tab switched learner: follow it so the two don't mix
+  window.addEventListener('storage', function (e) {
+    if (e.key !== PROFILES_KEY || !e.newValue) return;
+    try {
+      var registry = JSON.parse(e.newValue);
+      manager.registry = registry;
+      if (registry.activeId !== manager.activeId) window.location.reload();
+    } catch (err) { /* ignore */ }
+  });
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', function () { initProfileSwitcher(manager); });
+  } else {
+    initProfileSwitcher(manager);
+  }
+})();
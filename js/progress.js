@@ -1,60 +1,253 @@
 /* ========================================
    CHILD PSYCHOLOGY COURSE — PROGRESS.JS
-   localStorage-based progress tracking system
+   Progress tracking system (persisted through
+   the storage layer in storage.js)
    ======================================== */
 
 (function () {
   'use strict';
 
   var STORAGE_KEY = 'childPsych_progress';
-  var CURRENT_VERSION = '1.0';
+  var CURRENT_VERSION = 5;
 
-  /* Total sections per module (used for percentage calculations) */
-  var MODULE_TOTAL_SECTIONS = {
-    module1: 10,
-    module2: 10,
-    module3: 11,
-    module4: 11,
-    module5: 12,
-    module6: 11,
-    module7: 11,
-    module8: 13,
-    module9: 11,
-    module10: 11
-  };
+  /* ------------------------------------------
+     SCHEMA MIGRATIONS
+     Each step upgrades stored progress from
+     version - 1 to version (see migrations.js).
+     Add a step here whenever the shape changes.
+       v1 — version: '1.0'; modules module1–10 with
+            status, sectionsCompleted, quizScore, quizAttempts
+       v2 — numeric version; adds quizHistory,
+            lastQuizQuestionIds and quizSession per module
+       v3 — adds timeSpentMs per module
+       v4 — adds the top-level finalExam record
+       v5 — adds timeByDevice per module; timeSpentMs
+            becomes its total
+  ------------------------------------------ */
+  var MIGRATIONS = [
+    {
+      version: 2,
+      migrate: function (data) {
+        var modules = data.modules || {};
+        Object.keys(modules).forEach(function (moduleId) {
+          var module = modules[moduleId];
+          if (!module || typeof module !== 'object') return;
+
+          if (!Array.isArray(module.lastQuizQuestionIds)) module.lastQuizQuestionIds = [];
+          if (module.quizSession === undefined) module.quizSession = null;
+          if (!Array.isArray(module.quizHistory)) {
+            // v1 only kept the latest score — seed the log with it
+            module.quizHistory = typeof module.quizScore === 'number' ? [{
+              completedAt: null,
+              score: module.quizScore,
+              durationMs: null,
+              questionIds: module.lastQuizQuestionIds,
+              results: []
+            }] : [];
+          }
+        });
+        return data;
+      }
+    },
+    {
+      version: 3,
+      migrate: function (data) {
+        var modules = data.modules || {};
+        Object.keys(modules).forEach(function (moduleId) {
+          if (modules[moduleId] && typeof modules[moduleId] === 'object') modules[moduleId].timeSpentMs = 0;
+        });
+        return data;
+      }
+    },
+    {
+      version: 4,
+      migrate: function (data) {
+        data.finalExam = createFinalExamDefault();
+        return data;
+      }
+    },
+    {
+      version: 5,
+      migrate: function (data) {
+        var modules = data.modules || {};
+        Object.keys(modules).forEach(function (moduleId) {
+          if (modules[moduleId] && typeof modules[moduleId] === 'object') {
+            modules[moduleId].timeByDevice = earlierTime(modules[moduleId].timeSpentMs);
+          }
+        });
+        return data;
+      }
+    }
+  ];
+
+  /* Modules and their sections come from the course manifest
+     (data/course.json, loaded by course.js). */
+
+  /* Attempts kept per module in the quiz history log */
+  var MAX_QUIZ_HISTORY = 50;
+
+  /* Time on module pages: saved every TIME_FLUSH_INTERVAL ms; stops
+     counting after IDLE_AFTER ms without scrolling, typing or tapping */
+  var TIME_FLUSH_INTERVAL = 30000;
+  var IDLE_AFTER = 5 * 60 * 1000;
+
+  /* timeByDevice entry for time counted before v5, device unknown */
+  var EARLIER_TIME = 'earlier';
+
+  /* Module statuses from least to most advanced (for merging) */
+  var STATUS_RANK = { 'not-started': 0, 'in-progress': 1, 'completed': 2 };
+
+  /* ------------------------------------------
+     createModuleDefault()
+     Returns the empty progress record for a
+     single module.
+  ------------------------------------------ */
+  function createModuleDefault() {
+    return {
+      status: 'not-started',        // not-started | in-progress | completed
+      sectionsCompleted: [],         // array of section IDs that have been read
+      quizScore: null,               // latest quiz score (0-100)
+      quizAttempts: 0,               // number of quiz attempts
+      quizHistory: [],               // attempt log, oldest first (see saveQuizScore)
+      lastQuizQuestionIds: [],       // question IDs served in the latest attempt
+      quizSession: null,             // unfinished quiz attempt, see saveQuizSession()
+      timeSpentMs: 0,                // active time on the module page, total of timeByDevice
+      timeByDevice: {},              // active time per device id, see addTimeSpent()
+      resetAt: null                  // ISO time of the last resetModule()
+    };
+  }
+
+  /* ------------------------------------------
+     createFinalExamDefault()
+     Returns the empty final exam record. The
+     exam spans every module, so it is kept
+     apart from the module records.
+  ------------------------------------------ */
+  function createFinalExamDefault() {
+    return {
+      history: [],                   // attempt log, oldest first (see saveFinalExam)
+      passedAt: null                 // ISO time of the first passing attempt
+    };
+  }
+
+  /* Union of two attempt logs, oldest first, without duplicates */
+  function mergeQuizHistory(a, b) {
+    var seen = {};
+    var merged = a.concat(b).filter(function (attempt) {
+      var key = attempt.completedAt + '|' + attempt.score;
+      if (seen[key]) return false;
+      seen[key] = true;
+      return true;
+    });
+
+    merged.sort(function (x, y) {
+      return (x.completedAt || '').localeCompare(y.completedAt || '');
+    });
+    return merged.slice(-MAX_QUIZ_HISTORY);
+  }
+
+  /* timeByDevice for time recorded before devices were told apart */
+  function earlierTime(timeSpentMs) {
+    var byDevice = {};
+    if (timeSpentMs > 0) byDevice[EARLIER_TIME] = timeSpentMs;
+    return byDevice;
+  }
+
+  function totalTime(byDevice) {
+    return Object.keys(byDevice).reduce(function (total, id) {
+      return total + (byDevice[id] || 0);
+    }, 0);
+  }
+
+  /* Whether ISO timestamp a is later than b (null is earliest) */
+  function isLater(a, b) {
+    return (a || '') > (b || '');
+  }
+
+  /* What a tab merge can change, ignoring timestamps and empty
+     records — two copies with equal signatures need no re-save */
+  function contentSignature(data) {
+    var modules = {};
+    Object.keys(data.modules).sort().forEach(function (moduleId) {
+      var module = data.modules[moduleId];
+      if (module.status === 'not-started' && !module.sectionsCompleted.length &&
+          !module.quizHistory.length && !module.resetAt) return;
+      modules[moduleId] = [
+        module.status,
+        module.sectionsCompleted.slice().sort(),
+        module.quizAttempts,
+        module.quizHistory.map(function (attempt) { return attempt.completedAt + '|' + attempt.score; }),
+        module.resetAt || null
+      ];
+    });
+    var exam = data.finalExam.history.map(function (attempt) { return attempt.completedAt + '|' + attempt.score; });
+    return JSON.stringify([data.resetAt || null, modules, exam, data.finalExam.passedAt]);
+  }
+
+  /* Schema version of a stored blob; '1.0' (and unversioned) data is v1 */
+  function getSchemaVersion(data) {
+    return typeof data.version === 'number' ? data.version : 1;
+  }
+
+  /* Minimal shape every version must have after migrating */
+  function isValidProgress(data) {
+    if (!data.modules || typeof data.modules !== 'object' || Array.isArray(data.modules)) return false;
+
+    for (var moduleId in data.modules) {
+      if (data.modules.hasOwnProperty(moduleId)) {
+        var module = data.modules[moduleId];
+        if (!module || typeof module !== 'object') return false;
+        if (module.quizScore !== null && module.quizScore !== undefined && typeof module.quizScore !== 'number') return false;
+      }
+    }
+    return true;
+  }
 
   /* ------------------------------------------
      PROGRESS MANAGER CLASS
      Handles all read/write operations for
-     course progress data in localStorage.
+     course progress data via courseStorage.
   ------------------------------------------ */
   function ProgressManager() {
+    var self = this;
     this.data = this.load();
+
+    // Another tab saved: fold its progress into ours. Otherwise the
+    // stored copy changed underneath us (async backend, remote sync): reload.
+    document.addEventListener('storageChanged', function (e) {
+      if (e.detail.keys.indexOf(STORAGE_KEY) === -1) return;
+      if (e.detail.source === 'tab') {
+        self._mergeFromOtherTab(window.courseStorage.getItem(STORAGE_KEY));
+        return;
+      }
+      self.data = self.load();
+      self._syncModules();
+      self._dispatchProgressEvent('all');
+    });
+
+    // Add records for any manifest modules the stored data doesn't have yet
+    if (window.courseConfig) {
+      window.courseConfig.ready(function () {
+        self._syncModules();
+      });
+    }
   }
 
   /* ------------------------------------------
      createDefault()
-     Returns a fresh progress data structure
-     with all modules initialized to empty.
+     Returns a fresh progress data structure.
+     Module records are added from the course
+     manifest (see _syncModules) or on first use.
   ------------------------------------------ */
   ProgressManager.prototype.createDefault = function () {
-    var modules = {};
-    for (var i = 1; i <= 10; i++) {
-      var moduleKey = 'module' + i;
-      modules[moduleKey] = {
-        status: 'not-started',        // not-started | in-progress | completed
-        sectionsCompleted: [],         // array of section IDs that have been read
-        quizScore: null,               // latest quiz score (0-100)
-        quizAttempts: 0                // number of quiz attempts
-      };
-    }
-
     return {
       version: CURRENT_VERSION,
       startedAt: new Date().toISOString(),
       lastUpdated: new Date().toISOString(),
-      modules: modules,
-      overallProgress: 0
+      modules: {},
+      finalExam: createFinalExamDefault(),
+      overallProgress: 0,
+      resetAt: null                  // ISO time of the last resetAll() / replaceData()
     };
   };
 
@@ -66,12 +259,8 @@
   ------------------------------------------ */
   ProgressManager.prototype.markSectionComplete = function (moduleId, sectionId) {
     // Ensure the module exists
-    if (!this.data.modules[moduleId]) {
-      console.warn('[ChildPsych] Unknown module: ' + moduleId);
-      return;
-    }
-
-    var module = this.data.modules[moduleId];
+    var module = this._ensureModule(moduleId);
+    if (!module) return;
 
     // Only add if not already completed
     if (module.sectionsCompleted.indexOf(sectionId) === -1) {
@@ -94,23 +283,54 @@
   };
 
   /* ------------------------------------------
-     saveQuizScore(moduleId, score)
-     Saves the quiz score for a module,
-     increments the attempt counter.
-     If score >= 70, marks module as 'completed'.
+     saveQuizScore(moduleId, score, details)
+     Logs a finished quiz attempt for a module
+     and increments the attempt counter.
+     If the best score passes the module's
+     passingScore (data/course.json), marks it
+     'completed' — a weaker retake never undoes it.
+     Optional `details`:
+       questionIds — questions served, in order
+       durationMs  — time from first question to finish
+       results     — [{ questionId, correct, credit,
+                        selected, timeMs, timedOut,
+                        confidence, hintsUsed,
+                        eliminated }]
+                       where selected is the learner's
+                       answer, timeMs the time spent on
+                       it (both feed analytics.js),
+                       timedOut whether a time limit
+                       submitted it, confidence the
+                       learner's rating ('guess' |
+                       'fairly-sure' | 'certain', or null),
+                       hintsUsed the hints revealed and
+                       eliminated the option struck out
+                       (or null); credit is before any
+                       lifeline penalty
   ------------------------------------------ */
-  ProgressManager.prototype.saveQuizScore = function (moduleId, score) {
-    if (!this.data.modules[moduleId]) {
-      console.warn('[ChildPsych] Unknown module: ' + moduleId);
-      return;
-    }
+  ProgressManager.prototype.saveQuizScore = function (moduleId, score, details) {
+    var module = this._ensureModule(moduleId);
+    if (!module) return;
+
+    details = details || {};
 
-    var module = this.data.modules[moduleId];
     module.quizScore = score;
     module.quizAttempts += 1;
+    module.lastQuizQuestionIds = details.questionIds || [];
+
+    module.quizHistory.push({
+      completedAt: new Date().toISOString(),
+      score: score,
+      durationMs: typeof details.durationMs === 'number' ? details.durationMs : null,
+      questionIds: details.questionIds || [],
+      results: details.results || []
+    });
+    if (module.quizHistory.length > MAX_QUIZ_HISTORY) {
+      module.quizHistory.splice(0, module.quizHistory.length - MAX_QUIZ_HISTORY);
+    }
 
-    // Mark as completed if passing score
-    if (score >= 70) {
+    // Mark as completed if the best attempt passed
+    if (this._isPassingScore(moduleId, this.getBestQuizScore(moduleId))) {
       module.status = 'completed';
     } else if (module.status === 'not-started') {
       module.status = 'in-progress';
@@ -122,28 +342,203 @@
     this._dispatchProgressEvent(moduleId);
   };
 
+  /* ------------------------------------------
+     saveFinalExam(score, details)
+     Logs a finished final exam attempt (kept
+     apart from the module quizzes, so it never
+     changes a module's status). Optional
+     `details`:
+       passed       — whether the score met the pass mark
+       timedOut     — the time limit ended the attempt
+       durationMs   — time from first question to finish
+       moduleScores — { moduleId: percent }
+       results      — as in saveQuizScore, plus moduleId
+  ------------------------------------------ */
+  ProgressManager.prototype.saveFinalExam = function (score, details) {
+    var exam = this.data.finalExam;
+    details = details || {};
+
+    var attempt = {
+      completedAt: new Date().toISOString(),
+      score: score,
+      passed: !!details.passed,
+      timedOut: !!details.timedOut,
+      durationMs: typeof details.durationMs === 'number' ? details.durationMs : null,
+      moduleScores: details.moduleScores || {},
+      results: details.results || []
+    };
+
+    exam.history.push(attempt);
+    if (exam.history.length > MAX_QUIZ_HISTORY) {
+      exam.history.splice(0, exam.history.length - MAX_QUIZ_HISTORY);
+    }
+    if (attempt.passed && !exam.passedAt) {
+      exam.passedAt = attempt.completedAt;
+    }
+
+    this.save();
+    this._dispatchProgressEvent('all');
+  };
+
+  /* ------------------------------------------
+     getFinalExam()
+     Summary of the final exam record:
+     { attempts, bestScore, latest, passed,
+       passedAt } (bestScore and latest are
+     null before the first attempt).
+  ------------------------------------------ */
+  ProgressManager.prototype.getFinalExam = function () {
+    var exam = this.data.finalExam;
+    var history = exam.history;
+
+    return {
+      attempts: history.length,
+      bestScore: history.length ? history.reduce(function (best, attempt) {
+        return Math.max(best, attempt.score);
+      }, 0) : null,
+      latest: history.length ? history[history.length - 1] : null,
+      passed: !!exam.passedAt,
+      passedAt: exam.passedAt
+    };
+  };
+
+  /* ------------------------------------------
+     getQuizHistory(moduleId)
+     Returns the module's attempt log, oldest
+     first (empty array if none).
+  ------------------------------------------ */
+  ProgressManager.prototype.getQuizHistory = function (moduleId) {
+    if (!this.data.modules[moduleId]) return [];
+    return this.data.modules[moduleId].quizHistory;
+  };
+
+  /* ------------------------------------------
+     getBestQuizScore(moduleId)
+     Highest score across all attempts, or
+     null if the quiz hasn't been taken.
+  ------------------------------------------ */
+  ProgressManager.prototype.getBestQuizScore = function (moduleId) {
+    var history = this.getQuizHistory(moduleId);
+    if (history.length === 0) return null;
+
+    return history.reduce(function (best, attempt) {
+      return Math.max(best, attempt.score);
+    }, 0);
+  };
+
+  /* ------------------------------------------
+     getLatestQuizScore(moduleId)
+     Score of the most recent attempt, or null.
+  ------------------------------------------ */
+  ProgressManager.prototype.getLatestQuizScore = function (moduleId) {
+    var history = this.getQuizHistory(moduleId);
+    if (history.length === 0) return null;
+    return history[history.length - 1].score;
+  };
+
+  /* ------------------------------------------
+     getAverageQuizScore(moduleId)
+     Mean score across logged attempts
+     (rounded), or null.
+  ------------------------------------------ */
+  ProgressManager.prototype.getAverageQuizScore = function (moduleId) {
+    var history = this.getQuizHistory(moduleId);
+    if (history.length === 0) return null;
+
+    var total = history.reduce(function (sum, attempt) {
+      return sum + attempt.score;
+    }, 0);
+    return Math.round(total / history.length);
+  };
+
+  /* ------------------------------------------
+     saveQuizSession(moduleId, session)
+     Stores a snapshot of an unfinished quiz
+     attempt (question order, answers, score,
+     work on the current question) so it can
+     be resumed after a reload. The snapshot
+     is owned by QuizEngine; it is stored as-is.
+  ------------------------------------------ */
+  ProgressManager.prototype.saveQuizSession = function (moduleId, session) {
+    var module = this._ensureModule(moduleId);
+    if (!module) return;
+
+    session.savedAt = new Date().toISOString();
+    module.quizSession = session;
+    this.save();
+  };
+
+  /* ------------------------------------------
+     getQuizSession(moduleId)
+     Returns the saved in-progress quiz
+     snapshot for a module, or null.
+  ------------------------------------------ */
+  ProgressManager.prototype.getQuizSession = function (moduleId) {
+    if (!this.data.modules[moduleId]) return null;
+    return this.data.modules[moduleId].quizSession || null;
+  };
+
+  /* ------------------------------------------
+     clearQuizSession(moduleId)
+     Drops the in-progress quiz snapshot once
+     the attempt is finished or abandoned.
+  ------------------------------------------ */
+  ProgressManager.prototype.clearQuizSession = function (moduleId) {
+    if (!this.data.modules[moduleId] || !this.data.modules[moduleId].quizSession) return;
+
+    this.data.modules[moduleId].quizSession = null;
+    this.save();
+  };
+
+  /* ------------------------------------------
+     addTimeSpent(moduleId, ms)
+     Adds active reading time to a module (see
+     initTimeTracking), counted against this
+     device so merging another device's export
+     adds its time rather than keeping the larger
+     total. getTimeSpent(moduleId) returns the
+     total in milliseconds.
+  ------------------------------------------ */
+  ProgressManager.prototype.addTimeSpent = function (moduleId, ms) {
+    if (!(ms > 0)) return;
+    var module = this._ensureModule(moduleId);
+    if (!module) return;
+
+    var device = window.courseUtils.deviceId();
+    module.timeByDevice[device] = (module.timeByDevice[device] || 0) + Math.round(ms);
+    module.timeSpentMs = totalTime(module.timeByDevice);
+    this.save();
+  };
+
+  ProgressManager.prototype.getTimeSpent = function (moduleId) {
+    var module = this.data.modules[moduleId];
+    return module ? module.timeSpentMs || 0 : 0;
+  };
+
   /* ------------------------------------------
      getModuleProgress(moduleId)
      Returns a percentage (0-100) based on
      the sections completed and quiz score.
      Sections count for 70%, quiz for 30%.
+     Section totals come from the manifest;
+     until it loads, sections count as 0%.
   ------------------------------------------ */
   ProgressManager.prototype.getModuleProgress = function (moduleId) {
     if (!this.data.modules[moduleId]) return 0;
 
-    var module = this.data.modules[moduleId];
-    var totalSections = MODULE_TOTAL_SECTIONS[moduleId] || 5;
+    var totalSections = this._getSectionCount(moduleId);
 
     // Sections weight: 70% of total progress
-    var sectionProgress = (module.sectionsCompleted.length / totalSections);
+    var sectionProgress = totalSections ? (this._getSectionsRead(moduleId) / totalSections) : 0;
     sectionProgress = Math.min(sectionProgress, 1); // cap at 100%
 
-    // Quiz weight: 30% of total progress (only counts if passed)
+    // Quiz weight: 30% of total progress (best attempt; full credit once passed)
+    var bestScore = this.getBestQuizScore(moduleId);
     var quizProgress = 0;
-    if (module.quizScore !== null && module.quizScore >= 70) {
+    if (this._isPassingScore(moduleId, bestScore)) {
       quizProgress = 1;
-    } else if (module.quizScore !== null) {
-      quizProgress = module.quizScore / 100;
+    } else if (bestScore !== null) {
+      quizProgress = bestScore / 100;
     }
 
     var totalProgress = (sectionProgress * 70) + (quizProgress * 30);
@@ -152,22 +547,18 @@
 
   /* ------------------------------------------
      getOverallProgress()
-     Returns the average progress across all
-     10 modules as a percentage (0-100).
+     Returns the average progress across every
+     module in the course as a percentage (0-100).
   ------------------------------------------ */
   ProgressManager.prototype.getOverallProgress = function () {
-    var total = 0;
-    var moduleCount = 0;
-
-    for (var moduleId in this.data.modules) {
-      if (this.data.modules.hasOwnProperty(moduleId)) {
-        total += this.getModuleProgress(moduleId);
-        moduleCount++;
-      }
-    }
-
-    if (moduleCount === 0) return 0;
-    return Math.round(total / moduleCount);
+    var self = this;
+    var moduleIds = this._getModuleIds();
+    if (moduleIds.length === 0) return 0;
+
+    var total = moduleIds.reduce(function (sum, moduleId) {
+      return sum + self.getModuleProgress(moduleId);
+    }, 0);
+    return Math.round(total / moduleIds.length);
   };
 
   /* ------------------------------------------
@@ -194,84 +585,238 @@
   ProgressManager.prototype.resetModule = function (moduleId) {
     if (!this.data.modules[moduleId]) return;
 
-    this.data.modules[moduleId] = {
-      status: 'not-started',
-      sectionsCompleted: [],
-      quizScore: null,
-      quizAttempts: 0
-    };
+    this.data.modules[moduleId] = createModuleDefault();
+    this.data.modules[moduleId].resetAt = new Date().toISOString();
 
     this.save();
     this._dispatchProgressEvent(moduleId);
   };
 
+  /* ------------------------------------------
+     replaceData(data)
+     Swaps in progress from an imported file
+     (already passed through upgradeData).
+  ------------------------------------------ */
+  ProgressManager.prototype.replaceData = function (data) {
+    this.data = data;
+    this.data.resetAt = new Date().toISOString();
+    this._syncModules();
+    this.save();
+    this._dispatchProgressEvent('all');
+  };
+
+  /* ------------------------------------------
+     mergeData(data)
+     Folds imported progress (already passed
+     through upgradeData) into the current data:
+     sections and quiz attempts are combined,
+     a module keeps its furthest status and a
+     final exam pass is kept.
+  ------------------------------------------ */
+  ProgressManager.prototype.mergeData = function (data) {
+    this._mergeModules(data, false);
+    this.save();
+    this._dispatchProgressEvent('all');
+  };
+
   /* ------------------------------------------
      resetAll()
      Resets all progress data to defaults.
   ------------------------------------------ */
   ProgressManager.prototype.resetAll = function () {
     this.data = this.createDefault();
+    this.data.resetAt = new Date().toISOString();
     this.save();
     this._dispatchProgressEvent('all');
   };
 
+  /* ------------------------------------------
+     _mergeFromOtherTab(raw)
+     Internal: reconciles progress saved by
+     another open tab with ours instead of
+     overwriting either. A later reset or
+     replace wins outright; otherwise the two
+     are merged as in mergeData(), and saved
+     back only if ours held something theirs
+     didn't (so tabs settle rather than echo).
+  ------------------------------------------ */
+  ProgressManager.prototype._mergeFromOtherTab = function (raw) {
+    var theirs = raw ? this._upgrade(raw, false) : null;
+    if (!theirs) return;
+
+    if (isLater(theirs.resetAt, this.data.resetAt)) {
+      this.data = theirs;
+    } else if (isLater(this.data.resetAt, theirs.resetAt)) {
+      this.save();
+    } else {
+      this._mergeModules(theirs, true);
+      if (contentSignature(this.data) !== contentSignature(theirs)) this.save();
+    }
+
+    this._syncModules();
+    this._dispatchProgressEvent('all');
+  };
+
+  /* ------------------------------------------
+     _mergeModules(data, fromTab)
+     Internal: folds data's modules and final
+     exam attempts into ours. Between tabs, a
+     module reset wins over older progress, and
+     the unfinished quiz session follows the tab
+     that saved last.
+  ------------------------------------------ */
+  ProgressManager.prototype._mergeModules = function (data, fromTab) {
+    var self = this;
+
+    Object.keys(data.modules).forEach(function (moduleId) {
+      var theirs = data.modules[moduleId];
+      var mine = self._ensureModule(moduleId);
+      if (!mine) return;
+
+      if (fromTab && isLater(theirs.resetAt, mine.resetAt)) {
+        self.data.modules[moduleId] = theirs;
+        return;
+      }
+      if (fromTab && isLater(mine.resetAt, theirs.resetAt)) return;
+
+      theirs.sectionsCompleted.forEach(function (sectionId) {
+        if (mine.sectionsCompleted.indexOf(sectionId) === -1) mine.sectionsCompleted.push(sectionId);
+      });
+
+      mine.quizHistory = mergeQuizHistory(mine.quizHistory, theirs.quizHistory);
+      mine.quizAttempts = Math.max(mine.quizAttempts, theirs.quizAttempts || 0, mine.quizHistory.length);
+      // Each device's count only grows, so the larger copy of it is the
+      // latest; time from before v5 can't be told apart and stays a max
+      Object.keys(theirs.timeByDevice).forEach(function (device) {
+        mine.timeByDevice[device] = Math.max(mine.timeByDevice[device] || 0, theirs.timeByDevice[device] || 0);
+      });
+      mine.timeSpentMs = totalTime(mine.timeByDevice);
+      if (mine.quizHistory.length > 0) {
+        var latest = mine.quizHistory[mine.quizHistory.length - 1];
+        mine.quizScore = latest.score;
+        mine.lastQuizQuestionIds = latest.questionIds || [];
+      }
+
+      if (fromTab) {
+        mine.quizSession = theirs.quizSession;
+      } else if (!mine.quizSession && theirs.quizSession) {
+        mine.quizSession = theirs.quizSession;
+      }
+      if (STATUS_RANK[theirs.status] > STATUS_RANK[mine.status]) mine.status = theirs.status;
+    });
+
+    var exam = this.data.finalExam;
+    exam.history = mergeQuizHistory(exam.history, data.finalExam.history);
+    if (data.finalExam.passedAt && (!exam.passedAt || data.finalExam.passedAt < exam.passedAt)) {
+      exam.passedAt = data.finalExam.passedAt;
+    }
+
+    if (data.startedAt && (!this.data.startedAt || data.startedAt < this.data.startedAt)) {
+      this.data.startedAt = data.startedAt;
+    }
+  };
+
   /* ------------------------------------------
      save()
      Writes the current progress data to
-     localStorage as a JSON string.
+     courseStorage as a JSON string. Storage
+     failures are handled there (it falls back
+     to memory and fires 'storageError').
   ------------------------------------------ */
   ProgressManager.prototype.save = function () {
     try {
       this.data.lastUpdated = new Date().toISOString();
       this.data.overallProgress = this.getOverallProgress();
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+      window.courseStorage.setItem(STORAGE_KEY, JSON.stringify(this.data));
     } catch (e) {
-      console.warn('[ChildPsych] Could not save progress to localStorage:', e.message);
+      console.warn('[ChildPsych] Could not save progress:', e.message);
     }
   };
 
   /* ------------------------------------------
      load()
-     Reads progress data from localStorage.
+     Reads progress data from courseStorage.
      Returns the parsed data or creates a new
      default if nothing is found or data is corrupt.
   ------------------------------------------ */
   ProgressManager.prototype.load = function () {
     try {
-      var raw = localStorage.getItem(STORAGE_KEY);
+      var raw = window.courseStorage.getItem(STORAGE_KEY);
       if (!raw) return this.createDefault();
 
-      var parsed = JSON.parse(raw);
+      // Upgrade older data (a backup of the raw blob is kept first)
+      return this._upgrade(raw, true) || this.createDefault();
+    } catch (e) {
+      console.warn('[ChildPsych] Could not load progress:', e.message);
+      return this.createDefault();
+    }
+  };
 
-      // Version check — if outdated, migrate or reset
-      if (!parsed.version || parsed.version !== CURRENT_VERSION) {
-        console.info('[ChildPsych] Progress data version mismatch. Creating fresh data.');
-        return this.createDefault();
-      }
+  /* ------------------------------------------
+     upgradeData(data)
+     Brings a progress object of any schema
+     version up to date without touching
+     storage (used when importing a file).
+     Returns null if it isn't valid progress.
+  ------------------------------------------ */
+  ProgressManager.prototype.upgradeData = function (data) {
+    try {
+      return this._upgrade(JSON.stringify(data), false);
+    } catch (e) {
+      return null;
+    }
+  };
 
-      // Validate structure — ensure all modules exist
-      if (!parsed.modules) return this.createDefault();
-      for (var i = 1; i <= 10; i++) {
-        var key = 'module' + i;
-        if (!parsed.modules[key]) {
-          parsed.modules[key] = {
-            status: 'not-started',
-            sectionsCompleted: [],
-            quizScore: null,
-            quizAttempts: 0
-          };
-        }
-        // Ensure sectionsCompleted is always an array
-        if (!Array.isArray(parsed.modules[key].sectionsCompleted)) {
-          parsed.modules[key].sectionsCompleted = [];
-        }
+  /* ------------------------------------------
+     _upgrade(raw, persist)
+     Internal: migrates, validates and repairs
+     a raw progress blob. Returns null if unusable.
+  ------------------------------------------ */
+  ProgressManager.prototype._upgrade = function (raw, persist) {
+    var parsed = window.StorageMigrations.run({
+      storageKey: STORAGE_KEY,
+      raw: raw,
+      currentVersion: CURRENT_VERSION,
+      migrations: MIGRATIONS,
+      getVersion: getSchemaVersion,
+      validate: isValidProgress,
+      persist: persist
+    });
+    if (!parsed) return null;
+
+    // Repair — every stored module record gets all fields
+    for (var key in parsed.modules) {
+      if (!parsed.modules.hasOwnProperty(key)) continue;
+      if (!parsed.modules[key] || typeof parsed.modules[key] !== 'object') {
+        parsed.modules[key] = createModuleDefault();
+      }
+      // Ensure sectionsCompleted is always an array
+      if (!Array.isArray(parsed.modules[key].sectionsCompleted)) {
+        parsed.modules[key].sectionsCompleted = [];
+      }
+      if (!Array.isArray(parsed.modules[key].lastQuizQuestionIds)) {
+        parsed.modules[key].lastQuizQuestionIds = [];
+      }
+      if (!parsed.modules[key].quizSession || typeof parsed.modules[key].quizSession !== 'object') {
+        parsed.modules[key].quizSession = null;
+      }
+      if (!Array.isArray(parsed.modules[key].quizHistory)) {
+        parsed.modules[key].quizHistory = [];
       }
+      if (typeof parsed.modules[key].timeSpentMs !== 'number') {
+        parsed.modules[key].timeSpentMs = 0;
+      }
+      var byDevice = parsed.modules[key].timeByDevice;
+      if (!byDevice || typeof byDevice !== 'object' || Array.isArray(byDevice)) {
+        parsed.modules[key].timeByDevice = earlierTime(parsed.modules[key].timeSpentMs);
+      }
+    }
 
-      return parsed;
-    } catch (e) {
-      console.warn('[ChildPsych] Could not load progress from localStorage:', e.message);
-      return this.createDefault();
+    if (!parsed.finalExam || typeof parsed.finalExam !== 'object' || !Array.isArray(parsed.finalExam.history)) {
+      parsed.finalExam = createFinalExamDefault();
     }
+
+    return parsed;
   };
 
   /* ------------------------------------------
@@ -283,15 +828,104 @@
     var module = this.data.modules[moduleId];
     if (!module) return;
 
-    var totalSections = MODULE_TOTAL_SECTIONS[moduleId] || 5;
-    var allSectionsDone = module.sectionsCompleted.length >= totalSections;
-    var quizPassed = module.quizScore !== null && module.quizScore >= 70;
+    var totalSections = this._getSectionCount(moduleId);
+    var allSectionsDone = !!totalSections && this._getSectionsRead(moduleId) >= totalSections;
+    var bestScore = this.getBestQuizScore(moduleId);
+    var quizPassed = this._isPassingScore(moduleId, bestScore);
 
     if (allSectionsDone && quizPassed) {
       module.status = 'completed';
     }
   };
 
+  /* ------------------------------------------
+     _ensureModule(moduleId)
+     Internal: returns the module's record,
+     creating it on first use. Once the manifest
+     has loaded, ids it doesn't list are rejected.
+  ------------------------------------------ */
+  ProgressManager.prototype._ensureModule = function (moduleId) {
+    if (this.data.modules[moduleId]) return this.data.modules[moduleId];
+
+    var config = window.courseConfig;
+    if (config && config.data && !config.getModule(moduleId)) {
+      console.warn('[ChildPsych] Unknown module: ' + moduleId);
+      return null;
+    }
+
+    this.data.modules[moduleId] = createModuleDefault();
+    return this.data.modules[moduleId];
+  };
+
+  /* ------------------------------------------
+     _syncModules()
+     Internal: adds empty records for manifest
+     modules missing from the stored data.
+  ------------------------------------------ */
+  ProgressManager.prototype._syncModules = function () {
+    var self = this;
+    var added = false;
+
+    this._getModuleIds().forEach(function (moduleId) {
+      if (!self.data.modules[moduleId]) {
+        self.data.modules[moduleId] = createModuleDefault();
+        added = true;
+      }
+    });
+
+    if (added) this.save();
+  };
+
+  /* ------------------------------------------
+     _getModuleIds()
+     Internal: module ids in course order from
+     the manifest, else whatever is stored.
+  ------------------------------------------ */
+  ProgressManager.prototype._getModuleIds = function () {
+    var modules = window.courseConfig ? window.courseConfig.getModules() : [];
+    if (modules.length > 0) {
+      return modules.map(function (module) { return module.id; });
+    }
+    return Object.keys(this.data.modules);
+  };
+
+  /* ------------------------------------------
+     _getSectionCount(moduleId)
+     Internal: sections in the module per the
+     manifest, or null if unknown.
+  ------------------------------------------ */
+  ProgressManager.prototype._getSectionCount = function (moduleId) {
+    return window.courseConfig ? window.courseConfig.getSectionCount(moduleId) : null;
+  };
+
+  /* ------------------------------------------
+     _getSectionsRead(moduleId)
+     Internal: completed sections that are still
+     in the manifest (removed or renamed
+     sections don't count).
+  ------------------------------------------ */
+  ProgressManager.prototype._getSectionsRead = function (moduleId) {
+    var module = this.data.modules[moduleId];
+    if (!module) return 0;
+
+    var sections = window.courseConfig ? window.courseConfig.getSections(moduleId) : [];
+    if (sections.length === 0) return module.sectionsCompleted.length;
+
+    var ids = sections.map(function (section) { return section.id; });
+    return module.sectionsCompleted.filter(function (sectionId) {
+      return ids.indexOf(sectionId) !== -1;
+    }).length;
+  };
+
+  /* ------------------------------------------
+     _isPassingScore(moduleId, score)
+     Internal: pass threshold comes from the
+     shared course configuration (course.js).
+  ------------------------------------------ */
+  ProgressManager.prototype._isPassingScore = function (moduleId, score) {
+    return window.courseConfig.isPassingScore(moduleId, score);
+  };
+
   /* ------------------------------------------
      _dispatchProgressEvent(moduleId)
      Internal: fires a custom event so UI
@@ -435,6 +1069,50 @@
     initProgressUI();
   });
 
+  // Pass thresholds may differ from the defaults once course.json arrives
+  document.addEventListener('courseConfigLoaded', function () {
+    initProgressUI();
+  });
+
+  /* ------------------------------------------
+     TIME TRACKING
+     On a module page, counts time while the
+     tab is visible and the learner is active,
+     and adds it to the module every
+     TIME_FLUSH_INTERVAL and when leaving.
+  ------------------------------------------ */
+  function initTimeTracking() {
+    var moduleEl = document.querySelector('[data-module-id]');
+    if (!moduleEl || !window.progressManager) return;
+
+    var moduleId = moduleEl.getAttribute('data-module-id');
+    var isVisible = document.visibilityState !== 'hidden';
+    var lastTick = Date.now();
+    var lastActivity = lastTick;
+
+    function flush() {
+      var now = Date.now();
+      if (isVisible) {
+        window.progressManager.addTimeSpent(moduleId, Math.min(now, lastActivity + IDLE_AFTER) - lastTick);
+      }
+      lastTick = now;
+    }
+
+    ['scroll', 'keydown', 'pointerdown', 'pointermove'].forEach(function (type) {
+      window.addEventListener(type, function () {
+        lastActivity = Date.now();
+      }, { passive: true });
+    });
+
+    document.addEventListener('visibilitychange', function () {
+      flush();
+      isVisible = document.visibilityState !== 'hidden';
+      if (isVisible) lastActivity = Date.now();
+    });
+    window.addEventListener('pagehide', flush);
+    setInterval(flush, TIME_FLUSH_INTERVAL);
+  }
+
   /* ------------------------------------------
      INITIALIZATION
      Create the global ProgressManager instance
@@ -449,6 +1127,7 @@
 
   document.addEventListener('DOMContentLoaded', function () {
     initProgressUI();
+    initTimeTracking();
     console.log('[ChildPsych] Progress system initialized — Overall: ' +
       window.progressManager.getOverallProgress() + '%');
   });
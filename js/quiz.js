@@ -7,19 +7,95 @@
 (function () {
   'use strict';
 
+  /* Question types that don't render selectable .quiz-option elements */
+  var NON_OPTION_TYPES = ['drag-match', 'ordering', 'short-answer'];
+
+  /* Adaptive quizzes: question difficulty from easiest to hardest, the
+     share of a point a fully correct answer earns at each, and how many
+     correct answers in a row move up a level */
+  var DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+  var DIFFICULTY_WEIGHTS = { easy: 0.75, medium: 1, hard: 1.25 };
+  var STEP_UP_STREAK = 2;
+
+  /* How sure the learner is of an answer, optionally rated before
+     checking it */
+  var CONFIDENCE_LEVELS = [
+    { id: 'guess', label: 'Guess' },
+    { id: 'fairly-sure', label: 'Fairly sure' },
+    { id: 'certain', label: 'Certain' }
+  ];
+
+  /* Lifelines: the share of a question's point and the XP (gamification.js)
+     each hint or elimination costs, unless quizzes.json sets `lifelines`
+     (course-wide, or per module to override it) */
+  var LIFELINE_DEFAULTS = { hintPenalty: 0.25, eliminatePenalty: 0.5, hintXp: 2, eliminateXp: 5 };
+
+  /* Most sections listed under "Sections to revisit" on the results screen */
+  var MAX_WEAK_SECTIONS = 5;
+
+  function confidenceLabel(id) {
+    for (var i = 0; i < CONFIDENCE_LEVELS.length; i++) {
+      if (CONFIDENCE_LEVELS[i].id === id) return CONFIDENCE_LEVELS[i].label;
+    }
+    return '';
+  }
+
+  /* A question's difficulty as an index into DIFFICULTY_LEVELS (untagged = medium) */
+  function levelOf(question) {
+    var level = DIFFICULTY_LEVELS.indexOf(question.difficulty);
+    return level === -1 ? 1 : level;
+  }
+
+  /* Countdowns turn red (and are announced once) below these */
+  var TOTAL_LOW_MS = 60000;
+  var QUESTION_LOW_MS = 10000;
+
   /* ========================================
      QUIZ ENGINE CLASS
      ======================================== */
 
   /**
    * @param {string} moduleId — e.g. "module1"
+   * @param {Object} [options]
+   *   mode         — 'module' (default); 'review': a Daily Review
+   *                  (review.js) that saves no module score or session;
+   *                  'exam': the final exam (exam.js), which holds all
+   *                  feedback until the results screen
+   *   questions    — question definitions to use instead of loading the
+   *                  module's pool from quizzes.json
+   *   draw         — function returning a fresh question set for each
+   *                  attempt, in place of `questions`
+   *   title        — heading shown with `questions` or `draw`
+   *   timeLimitMs  — time allowed for the whole attempt; answers still
+   *                  missing when it runs out are marked wrong
+   *   questionTimeLimitMs — time allowed per question; the answer is
+   *                  submitted as it stands when it runs out
+   *   adaptive     — pick each question by performance so far (see
+   *                  ADAPTIVE QUESTIONS); set per module with
+   *                  `"adaptive": true` in quizzes.json
+   *   lifelines    — { hintPenalty, eliminatePenalty, hintXp, eliminateXp }
+   *                  (see LIFELINES);
+   *                  module quizzes read them from quizzes.json
+   *
+   * Module quizzes take their limits from the module's `timeLimit` in
+   * quizzes.json ({ totalMinutes, perQuestionSeconds }, both optional).
+   * Every limit is scaled by the learner's extra-time multiplier
+   * (profiles.js).
    */
-  function QuizEngine(moduleId) {
+  function QuizEngine(moduleId, options) {
+    options = options || {};
     this.moduleId = moduleId;
+    this.mode = options.mode || 'module';
     this.container = null;
-    this.questions = [];
+    this.questionPool = [];     // every question defined for the module
+    this.questions = [];        // the subset drawn for the current attempt
+    this.drawCount = null;      // how many questions to draw (null = whole pool)
+    this.drawPool = options.draw || null;
     this.moduleTitle = '';
-    this.passingScore = 70;
+    this.timeLimitMs = options.timeLimitMs || null;                  // before extra time
+    this.questionTimeLimitMs = options.questionTimeLimitMs || null;  // before extra time
+    this.adaptive = !!options.adaptive;
+    this.lifelines = Object.assign({}, LIFELINE_DEFAULTS, options.lifelines);
 
     // State
     this.currentQuestionIndex = 0;
@@ -27,14 +103,40 @@
     this.score = 0;
     this.isComplete = false;
     this.selectedOptionId = null;
+    this.selectedOptionIds = [];   // multiple-select
     this.hasChecked = false;
 
+    // Attempt state
+    this.attemptNumber = 0;
+    this.servedQuestionIds = [];
+    this.attemptStartedAt = null;   // ms timestamp, set when the first question is shown
+    this.questionShownAt = null;    // ms timestamp, set when the current question is shown
+    this.isMissedRetry = false;     // practice round of previously missed questions
+    this.pendingSession = null;     // saved unfinished attempt awaiting Resume / Start over
+    this.timedOut = false;          // the time limit ended the attempt
+    this.questionTimedOut = false;  // the current question's time ran out
+    this.timerId = null;
+    this.confidence = null;         // CONFIDENCE_LEVELS id rated for the current question, if any
+    this.hintsShown = 0;            // hints revealed for the current question
+    this.eliminatedOptionId = null; // option removed by the eliminate lifeline
+
     // Drag-match state
     this.dragSelectedSource = null;
     this.matchedPairs = {};
 
+    // Ordering state
+    this.currentOrder = [];
+
+    // Short-answer state
+    this.shortAnswerText = '';
+    this.lastGrade = null;
+
     // Load quiz data
-    this._loadQuizData();
+    if (options.questions || options.draw) {
+      this._usePool(options.questions || [], null, options.title || '');
+    } else {
+      this._loadQuizData();
+    }
   }
 
   /* ------------------------------------------
@@ -68,10 +170,13 @@
           return;
         }
 
-        self.questions = moduleData.questions;
-        self.moduleTitle = moduleData.title;
-        self.passingScore = moduleData.passingScore || 70;
-        self.answers = new Array(self.questions.length).fill(null);
+        var timeLimit = moduleData.timeLimit || {};
+        self.timeLimitMs = timeLimit.totalMinutes ? timeLimit.totalMinutes * 60 * 1000 : null;
+        self.questionTimeLimitMs = timeLimit.perQuestionSeconds ? timeLimit.perQuestionSeconds * 1000 : null;
+        self.adaptive = !!moduleData.adaptive;
+        self.lifelines = Object.assign({}, LIFELINE_DEFAULTS, data.lifelines, moduleData.lifelines);
+
+        self._usePool(moduleData.questions, moduleData.drawCount || null, moduleData.title);
 
         // Render the first question
         if (self.container) {
@@ -84,6 +189,17 @@
       });
   };
 
+  /**
+   * Sets the question pool and draws the first attempt.
+   */
+  QuizEngine.prototype._usePool = function (questions, drawCount, title) {
+    this.questionPool = questions;
+    this.drawCount = drawCount;
+    this.moduleTitle = title;
+    this._drawQuestions();
+    this.pendingSession = this._getSavedSession();
+  };
+
   /**
    * Resolves the path to data/quizzes.json.
    * Works whether the page is at root or in a subdirectory.
@@ -117,6 +233,49 @@
     return 'data/quizzes.json';
   };
 
+  /* ------------------------------------------
+     QUESTION DRAW
+     Picks a fresh random subset of the pool
+     for a new attempt and shuffles each
+     question's options. Options keep their
+     ids, so `correctAnswer` still maps. With
+     a `draw` function the pool itself is
+     re-sampled first.
+  ------------------------------------------ */
+  QuizEngine.prototype._drawQuestions = function () {
+    var self = this;
+    if (this.drawPool) {
+      this.questionPool = this.drawPool();
+    }
+    var pool = this._shuffle(this.questionPool);
+    var count = this.drawCount ? Math.min(this.drawCount, pool.length) : pool.length;
+
+    this.questions = pool.slice(0, count).map(function (question) {
+      return self._prepareQuestion(question);
+    });
+    this.servedQuestionIds = this.questions.map(function (question) {
+      return question.id;
+    });
+    this.answers = new Array(this.questions.length).fill(null);
+    this.attemptNumber++;
+    this.attemptStartedAt = null;
+
+    if (this.adaptive) this._adaptQuestion(0);
+  };
+
+  /**
+   * Returns a shallow copy of a question with its options shuffled.
+   * Set `"shuffleOptions": false` in quizzes.json for questions whose
+   * options depend on their order (e.g. "All of the above").
+   */
+  QuizEngine.prototype._prepareQuestion = function (question) {
+    var prepared = Object.assign({}, question);
+    if (Array.isArray(question.options) && question.shuffleOptions !== false) {
+      prepared.options = this._shuffle(question.options);
+    }
+    return prepared;
+  };
+
   /* ------------------------------------------
      MAIN RENDER
      Entry point: renders the current state
@@ -131,20 +290,46 @@
       return;
     }
 
+    // An unfinished attempt was saved — ask before replacing it
+    if (this.pendingSession) {
+      this.showResumePrompt();
+      return;
+    }
+
     // If quiz is complete, show results
     if (this.isComplete) {
       this.showResults();
       return;
     }
 
+    if (this.attemptStartedAt === null) {
+      this.attemptStartedAt = Date.now();
+    }
+    if (this.questionShownAt === null) {
+      this.questionShownAt = Date.now();
+    }
+
     var question = this.questions[this.currentQuestionIndex];
     var html = '';
 
     // Header
     html += '<div class="quiz-header">';
     html += '<span class="quiz-progress-text">Question ' +
-            (this.currentQuestionIndex + 1) + ' of ' + this.questions.length + '</span>';
+            (this.currentQuestionIndex + 1) + ' of ' + this.questions.length +
+            (this.adaptive && !this.isMissedRetry ? ' \u00B7 ' + this._difficultyLabel(question) : '') + '</span>';
     html += '<span class="quiz-progress-text">' + this._escapeHtml(this.moduleTitle) + '</span>';
+    if (this._totalLimitMs() || this._questionLimitMs()) {
+      html += '<span class="quiz-timers">';
+      if (this._questionLimitMs()) {
+        html += this._renderTimer('quiz-question-timer', 'Time left for this question',
+                                  this._questionRemainingMs(), QUESTION_LOW_MS);
+      }
+      if (this._totalLimitMs()) {
+        html += this._renderTimer('quiz-timer', 'Time left for the quiz', this._remainingMs(), TOTAL_LOW_MS);
+      }
+      html += '</span>';
+      html += '<span class="visually-hidden" id="quiz-timer-status" aria-live="assertive"></span>';
+    }
     html += '</div>';
 
     // Progress bar
@@ -165,24 +350,51 @@
       case 'true-false':
         html += this.renderTrueFalse(question);
         break;
+      case 'multiple-select':
+        html += this.renderMultipleSelect(question);
+        break;
       case 'drag-match':
         html += this.renderDragMatch(question);
         break;
+      case 'ordering':
+        html += this.renderOrdering(question);
+        break;
+      case 'short-answer':
+        html += this.renderShortAnswer(question);
+        break;
       default:
         html += this.renderMultipleChoice(question);
     }
 
+    // Hints revealed so far
+    if (this._canUseLifelines() && this._hintsFor(question).length > 0) {
+      html += '<ol class="quiz-hints" id="quiz-hints" aria-live="polite" aria-label="Hints"></ol>';
+    }
+
+    // Confidence rating (optional)
+    html += this.renderConfidence();
+
     // Feedback area (hidden until answer is checked)
     html += '<div class="quiz-feedback-area" id="quiz-feedback-area"></div>';
 
     // Action buttons
     html += '<div class="quiz-actions" style="margin-top: 1.5rem; display: flex; gap: 0.75rem;">';
-    html += '<button class="quiz-btn quiz-btn-check" id="quiz-btn-check" disabled ' +
-            'aria-label="Check your answer">Check Answer</button>';
+    if (this.mode === 'exam') {
+      var isLast = this.currentQuestionIndex === this.questions.length - 1;
+      html += '<button class="quiz-btn quiz-btn-check" id="quiz-btn-check" disabled ' +
+              'aria-label="Save your answer and ' + (isLast ? 'finish the exam' : 'go to the next question') + '">' +
+              (isLast ? 'Finish Exam' : 'Save &amp; Next') + '</button>';
+    } else {
+      html += '<button class="quiz-btn quiz-btn-check" id="quiz-btn-check" disabled ' +
+              'aria-label="Check your answer">Check Answer</button>';
+    }
     html += '<button class="quiz-btn quiz-btn-next" id="quiz-btn-next" ' +
             'style="display: none;" aria-label="Go to next question">' +
             (this.currentQuestionIndex < this.questions.length - 1 ? 'Next Question' : 'See Results') +
             '</button>';
+    if (this._canUseLifelines()) {
+      html += this.renderLifelines(question);
+    }
     html += '</div>';
 
     html += '</div>'; // .quiz-body
@@ -191,10 +403,13 @@
 
     // Bind events
     this._bindEvents();
+    this._startTimer();
 
     // If this is a drag-match question, initialize drag behavior
     if (question.type === 'drag-match') {
       this._initDragMatch();
+    } else if (question.type === 'ordering') {
+      this._initOrdering();
     }
 
     // Animate in
@@ -224,6 +439,30 @@
     return html;
   };
 
+  /* ------------------------------------------
+     RENDER: MULTIPLE SELECT
+     "Choose all that apply" — same option
+     markup as MC, but with checkbox semantics.
+  ------------------------------------------ */
+  QuizEngine.prototype.renderMultipleSelect = function (question) {
+    var markers = ['A', 'B', 'C', 'D', 'E', 'F'];
+    var html = '<p class="quiz-select-hint" id="quiz-select-hint">Select all that apply</p>';
+    html += '<div class="quiz-options quiz-options-multi" role="group" ' +
+            'aria-label="Answer options" aria-describedby="quiz-select-hint">';
+
+    for (var i = 0; i < question.options.length; i++) {
+      var opt = question.options[i];
+      html += '<div class="quiz-option" data-option-id="' + opt.id + '" ' +
+              'role="checkbox" aria-checked="false" tabindex="0">';
+      html += '<span class="quiz-option-marker">' + markers[i] + '</span>';
+      html += '<span class="quiz-option-text">' + this._escapeHtml(opt.text) + '</span>';
+      html += '</div>';
+    }
+
+    html += '</div>';
+    return html;
+  };
+
   /* ------------------------------------------
      RENDER: TRUE / FALSE
      Renders as two clickable options.
@@ -252,25 +491,29 @@
      Falls back to click-to-select matching.
   ------------------------------------------ */
   QuizEngine.prototype.renderDragMatch = function (question) {
-    var html = '<div class="drag-match-container">';
+    var html = '<p class="quiz-select-hint" id="quiz-drag-hint">' +
+               'Drag each item onto its match, or select an item and then its match. ' +
+               'Select a filled match to clear it.</p>';
+    html += '<div class="drag-match-container" aria-describedby="quiz-drag-hint">';
 
     // Source column
-    html += '<div class="drag-match-sources">';
-    html += '<div class="drag-match-label">Items</div>';
+    html += '<div class="drag-match-sources" role="group" aria-label="Items">';
+    html += '<div class="drag-match-label" aria-hidden="true">Items</div>';
     var shuffledSources = this._shuffle(question.sources.slice());
     for (var i = 0; i < shuffledSources.length; i++) {
       var src = shuffledSources[i];
-      html += '<div class="drag-item" data-source-id="' + src.id + '" tabindex="0">' +
+      html += '<div class="drag-item" data-source-id="' + src.id + '" ' +
+              'role="button" aria-pressed="false" tabindex="0">' +
               this._escapeHtml(src.text) + '</div>';
     }
     html += '</div>';
 
     // Target column
-    html += '<div class="drag-match-targets">';
-    html += '<div class="drag-match-label">Match To</div>';
+    html += '<div class="drag-match-targets" role="group" aria-label="Match to">';
+    html += '<div class="drag-match-label" aria-hidden="true">Match To</div>';
     for (var j = 0; j < question.targets.length; j++) {
       var tgt = question.targets[j];
-      html += '<div class="drop-zone" data-target-id="' + tgt.id + '" tabindex="0">';
+      html += '<div class="drop-zone" data-target-id="' + tgt.id + '" role="button" tabindex="0">';
       html += '<span class="drop-zone-label">' + this._escapeHtml(tgt.text) + '</span>';
       html += '<span class="drop-zone-matched" style="display:none;"></span>';
       html += '</div>';
@@ -278,13 +521,121 @@
     html += '</div>';
 
     html += '</div>';
+    html += '<div class="visually-hidden" id="quiz-drag-status" aria-live="polite"></div>';
+    return html;
+  };
+
+  /* ------------------------------------------
+     RENDER: ORDERING
+     A single reorderable list. Items can be
+     dragged (GSAP Draggable) or moved with the
+     up/down buttons and arrow keys.
+  ------------------------------------------ */
+  QuizEngine.prototype.renderOrdering = function (question) {
+    // Start from a shuffled order that isn't already the answer
+    var ids = question.items.map(function (item) { return item.id; });
+    var order = this._shuffle(ids);
+    for (var attempt = 0; attempt < 5 && ids.length > 1 && order.join() === question.correctOrder.join(); attempt++) {
+      order = this._shuffle(ids);
+    }
+
+    // Keep an order restored from a saved session
+    if (this.currentOrder.length === ids.length &&
+        ids.every(function (id) { return this.currentOrder.indexOf(id) !== -1; }, this)) {
+      order = this.currentOrder;
+    }
+    this.currentOrder = order;
+
+    var html = '<p class="quiz-select-hint" id="quiz-ordering-hint">' +
+               'Drag the items, or use the arrow buttons or Up/Down keys, to put them in order.</p>';
+    html += '<ol class="ordering-list" aria-describedby="quiz-ordering-hint">';
+
+    for (var i = 0; i < order.length; i++) {
+      var item = this._findOrderingItem(question, order[i]);
+      var text = this._escapeHtml(item.text);
+      html += '<li class="ordering-item" data-item-id="' + item.id + '" tabindex="0">';
+      html += '<span class="ordering-item-position" aria-hidden="true">' + (i + 1) + '</span>';
+      html += '<span class="ordering-item-text">' + text + '</span>';
+      html += '<span class="ordering-item-controls">';
+      html += '<button type="button" class="ordering-move" data-direction="-1" aria-label="Move ' + text + ' up">&#9650;</button>';
+      html += '<button type="button" class="ordering-move" data-direction="1" aria-label="Move ' + text + ' down">&#9660;</button>';
+      html += '</span>';
+      html += '</li>';
+    }
+
+    html += '</ol>';
+    html += '<div class="visually-hidden" id="quiz-drag-status" aria-live="polite"></div>';
+    return html;
+  };
+
+  /* ------------------------------------------
+     RENDER: SHORT ANSWER
+     A single free-text field, graded on the
+     client against the question's accepted
+     answers, patterns and keyword rubric.
+  ------------------------------------------ */
+  QuizEngine.prototype.renderShortAnswer = function (question) {
+    var html = '<div class="short-answer">';
+    html += '<label class="visually-hidden" for="quiz-short-answer-input">Your answer</label>';
+    html += '<input type="text" class="short-answer-input" id="quiz-short-answer-input" ' +
+            'autocomplete="off" spellcheck="false" maxlength="300" ' +
+            'placeholder="' + (question.rubric ? 'Explain in a sentence or two' : 'Type your answer') + '">';
+    html += '</div>';
+    return html;
+  };
+
+  /* ------------------------------------------
+     RENDER: CONFIDENCE
+     "How sure are you?" — one pill per
+     CONFIDENCE_LEVELS entry, with radio
+     semantics like the answer options.
+     Rating is optional.
+  ------------------------------------------ */
+  QuizEngine.prototype.renderConfidence = function () {
+    var html = '<div class="quiz-confidence">';
+    html += '<span class="quiz-confidence-label" id="quiz-confidence-label">How sure are you? (optional)</span>';
+    html += '<div class="quiz-confidence-options" role="radiogroup" aria-labelledby="quiz-confidence-label">';
+
+    CONFIDENCE_LEVELS.forEach(function (level, i) {
+      html += '<button type="button" class="quiz-confidence-option" data-confidence="' + level.id + '" ' +
+              'role="radio" aria-checked="false" tabindex="' + (i === 0 ? '0' : '-1') + '">' + level.label + '</button>';
+    });
+
+    html += '</div>';
+    html += '</div>';
+    return html;
+  };
+
+  /* ------------------------------------------
+     RENDER: LIFELINES
+     Hint and eliminate buttons for the
+     actions bar, labelled with what they cost.
+     Either is left out when the question has
+     nothing to offer (no hints, or too few
+     options to take one away).
+  ------------------------------------------ */
+  QuizEngine.prototype.renderLifelines = function (question) {
+    var html = '';
+    var hints = this._hintsFor(question);
+
+    if (hints.length > 0) {
+      html += '<button type="button" class="quiz-btn quiz-btn-lifeline" id="quiz-btn-hint" ' +
+              'title="Each hint costs ' + this._describeCost(this.lifelines.hintPenalty, this.lifelines.hintXp) + '">' +
+              'Hint (' + hints.length + ' left)</button>';
+    }
+    if (this._canEliminate(question)) {
+      html += '<button type="button" class="quiz-btn quiz-btn-lifeline" id="quiz-btn-eliminate" ' +
+              'title="Costs ' + this._describeCost(this.lifelines.eliminatePenalty, this.lifelines.eliminateXp) + '">' +
+              'Eliminate One</button>';
+    }
     return html;
   };
 
   /* ------------------------------------------
      RENDER: PROGRESS BAR
      Segmented progress bar, one segment
-     per question. Shows correct/incorrect/current.
+     per question. Shows correct/incorrect/current
+     (exams only show which are answered).
   ------------------------------------------ */
   QuizEngine.prototype.renderProgressBar = function () {
     var html = '<div class="quiz-progress-bar" role="progressbar" ' +
@@ -295,8 +646,12 @@
       var segClass = 'quiz-progress-segment';
       if (i < this.currentQuestionIndex) {
         // Already answered
-        if (this.answers[i] && this.answers[i].correct) {
+        if (this.answers[i] && this.mode === 'exam') {
+          segClass += ' is-answered';
+        } else if (this.answers[i] && this.answers[i].correct) {
           segClass += ' is-correct';
+        } else if (this.answers[i] && this.answers[i].credit > 0) {
+          segClass += ' is-partial';
         } else if (this.answers[i]) {
           segClass += ' is-incorrect';
         }
@@ -348,8 +703,8 @@
     var self = this;
     var question = this.questions[this.currentQuestionIndex];
 
-    // Option selection (MC and TF)
-    if (question.type !== 'drag-match') {
+    // Option selection (MC, TF and multiple-select)
+    if (NON_OPTION_TYPES.indexOf(question.type) === -1) {
       var options = this.container.querySelectorAll('.quiz-option');
       options.forEach(function (opt) {
         opt.addEventListener('click', function () {
@@ -366,6 +721,39 @@
       });
     }
 
+    // Short-answer input: enable Check once something is typed, Enter submits
+    var input = this.container.querySelector('#quiz-short-answer-input');
+    if (input) {
+      input.addEventListener('input', function () {
+        self.shortAnswerText = input.value;
+        var btn = self.container.querySelector('#quiz-btn-check');
+        if (btn) btn.disabled = input.value.trim().length === 0;
+      });
+      input.addEventListener('keydown', function (e) {
+        if (e.key === 'Enter' && input.value.trim().length > 0) {
+          e.preventDefault();
+          self.checkAnswer();
+        }
+      });
+    }
+
+    // Confidence rating: click to pick, arrow keys move along the group
+    var ratings = Array.prototype.slice.call(this.container.querySelectorAll('.quiz-confidence-option'));
+    ratings.forEach(function (rating, i) {
+      rating.addEventListener('click', function () {
+        self.selectConfidence(rating.getAttribute('data-confidence'));
+      });
+      rating.addEventListener('keydown', function (e) {
+        var step = e.key === 'ArrowRight' || e.key === 'ArrowDown' ? 1 :
+                   e.key === 'ArrowLeft' || e.key === 'ArrowUp' ? -1 : 0;
+        if (!step) return;
+        e.preventDefault();
+        var target = ratings[(i + step + ratings.length) % ratings.length];
+        self.selectConfidence(target.getAttribute('data-confidence'));
+        target.focus();
+      });
+    });
+
     // Check Answer button
     var checkBtn = this.container.querySelector('#quiz-btn-check');
     if (checkBtn) {
@@ -374,6 +762,20 @@
       });
     }
 
+    // Lifelines
+    var hintBtn = this.container.querySelector('#quiz-btn-hint');
+    if (hintBtn) {
+      hintBtn.addEventListener('click', function () {
+        self.showHint();
+      });
+    }
+    var eliminateBtn = this.container.querySelector('#quiz-btn-eliminate');
+    if (eliminateBtn) {
+      eliminateBtn.addEventListener('click', function () {
+        self.eliminateOption();
+      });
+    }
+
     // Next Question button
     var nextBtn = this.container.querySelector('#quiz-btn-next');
     if (nextBtn) {
@@ -389,7 +791,13 @@
      enables the "Check Answer" button.
   ------------------------------------------ */
   QuizEngine.prototype.selectOption = function (optionId) {
-    if (this.hasChecked) return;
+    if (this.hasChecked || optionId === this.eliminatedOptionId) return;
+
+    var question = this.questions[this.currentQuestionIndex];
+    if (question && question.type === 'multiple-select') {
+      this.toggleOption(optionId);
+      return;
+    }
 
     this.selectedOptionId = optionId;
 
@@ -416,51 +824,315 @@
     }
   };
 
+  /* ------------------------------------------
+     SELECT CONFIDENCE
+     Records how sure the learner is of the
+     answer they're about to check.
+  ------------------------------------------ */
+  QuizEngine.prototype.selectConfidence = function (level) {
+    if (this.hasChecked) return;
+    this.confidence = level;
+
+    this.container.querySelectorAll('.quiz-confidence-option').forEach(function (rating) {
+      var isSelected = rating.getAttribute('data-confidence') === level;
+      rating.classList.toggle('is-selected', isSelected);
+      rating.setAttribute('aria-checked', String(isSelected));
+      rating.setAttribute('tabindex', isSelected ? '0' : '-1');
+    });
+  };
+
+  /* ------------------------------------------
+     LIFELINES
+     Progressive hints (a question's `hints` in
+     quizzes.json, shown one at a time) and an
+     "eliminate one" that strikes out a wrong
+     option. Only module quizzes offer them;
+     each use takes lifelines.hintPenalty or
+     lifelines.eliminatePenalty off the
+     question's credit, never below zero, and
+     lifelines.hintXp or eliminateXp off the
+     attempt's XP (gamification.js).
+  ------------------------------------------ */
+  QuizEngine.prototype._canUseLifelines = function () {
+    return this.mode === 'module';
+  };
+
+  QuizEngine.prototype._hintsFor = function (question) {
+    return Array.isArray(question.hints) ? question.hints : [];
+  };
+
+  /* Multiple choice with at least two wrong options, so two choices remain */
+  QuizEngine.prototype._canEliminate = function (question) {
+    return question.type === 'multiple-choice' && (question.options || []).length > 2;
+  };
+
+  /**
+   * Reveals the next hint for the current question.
+   */
+  QuizEngine.prototype.showHint = function () {
+    var question = this.questions[this.currentQuestionIndex];
+    var hints = this._hintsFor(question);
+    if (this.hasChecked || this.hintsShown >= hints.length) return;
+
+    this._appendHint(hints[this.hintsShown]);
+    this.hintsShown++;
+    this._updateHintButton(hints.length);
+    this._saveSession();
+  };
+
+  /**
+   * Strikes out one wrong option at random, clearing it if it was
+   * the one selected.
+   */
+  QuizEngine.prototype.eliminateOption = function () {
+    var question = this.questions[this.currentQuestionIndex];
+    if (this.hasChecked || this.eliminatedOptionId !== null || !this._canEliminate(question)) return;
+
+    var wrong = question.options.filter(function (opt) { return opt.id !== question.correctAnswer; });
+    var optionId = wrong[Math.floor(Math.random() * wrong.length)].id;
+    this.eliminatedOptionId = optionId;
+    this._strikeOption(optionId);
+
+    if (this.selectedOptionId === optionId) {
+      this.selectedOptionId = null;
+      var checkBtn = this.container.querySelector('#quiz-btn-check');
+      if (checkBtn) checkBtn.disabled = true;
+    }
+    this._saveSession();
+  };
+
+  /**
+   * Shows the hints and elimination restored with a saved session
+   * on the freshly rendered question.
+   */
+  QuizEngine.prototype._restoreLifelines = function () {
+    var hints = this._hintsFor(this.questions[this.currentQuestionIndex]);
+    for (var i = 0; i < this.hintsShown; i++) {
+      this._appendHint(hints[i]);
+    }
+    if (this.hintsShown > 0) this._updateHintButton(hints.length);
+    if (this.eliminatedOptionId !== null) this._strikeOption(this.eliminatedOptionId);
+  };
+
+  QuizEngine.prototype._appendHint = function (text) {
+    var list = this.container.querySelector('#quiz-hints');
+    var item = document.createElement('li');
+    item.className = 'quiz-hint';
+    item.textContent = text;
+    if (list) list.appendChild(item);
+  };
+
+  QuizEngine.prototype._updateHintButton = function (hintCount) {
+    var btn = this.container.querySelector('#quiz-btn-hint');
+    if (btn) {
+      var left = hintCount - this.hintsShown;
+      btn.textContent = left > 0 ? 'Hint (' + left + ' left)' : 'No More Hints';
+      btn.disabled = left === 0;
+    }
+  };
+
+  /* Marks an option as eliminated and uses up the lifeline */
+  QuizEngine.prototype._strikeOption = function (optionId) {
+    var opt = this.container.querySelector('.quiz-option[data-option-id="' + optionId + '"]');
+    if (opt) {
+      opt.classList.remove('is-selected');
+      opt.classList.add('is-eliminated');
+      opt.setAttribute('aria-checked', 'false');
+      opt.setAttribute('aria-disabled', 'true');
+      opt.setAttribute('tabindex', '-1');
+      opt.insertAdjacentHTML('beforeend', '<span class="visually-hidden"> (eliminated)</span>');
+    }
+
+    var btn = this.container.querySelector('#quiz-btn-eliminate');
+    if (btn) btn.disabled = true;
+  };
+
+  /* Points the current question's lifelines cost, given the credit earned */
+  QuizEngine.prototype._lifelinePenalty = function (credit) {
+    var penalty = this.hintsShown * this.lifelines.hintPenalty +
+                  (this.eliminatedOptionId !== null ? this.lifelines.eliminatePenalty : 0);
+    return Math.min(credit, penalty);
+  };
+
+  /* "0.25 of this question's point and 2 XP" */
+  QuizEngine.prototype._describeCost = function (points, xp) {
+    return this._formatPoints(points) + ' of this question\u2019s point' + (xp > 0 ? ' and ' + xp + ' XP' : '');
+  };
+
+  /**
+   * Lifelines used across the attempt: { hints, eliminations, penalty }.
+   */
+  QuizEngine.prototype._lifelineCounts = function () {
+    return this.answers.reduce(function (counts, answer) {
+      if (!answer) return counts;
+      counts.hints += answer.hintsUsed || 0;
+      counts.eliminations += answer.eliminated ? 1 : 0;
+      counts.penalty += answer.penalty || 0;
+      return counts;
+    }, { hints: 0, eliminations: 0, penalty: 0 });
+  };
+
+  /* "2 hints and 1 elimination" */
+  QuizEngine.prototype._describeLifelines = function (hints, eliminations) {
+    var parts = [];
+    if (hints) parts.push(hints + (hints === 1 ? ' hint' : ' hints'));
+    if (eliminations) parts.push(eliminations + (eliminations === 1 ? ' elimination' : ' eliminations'));
+    return parts.join(' and ');
+  };
+
+  /* ------------------------------------------
+     TOGGLE OPTION (multiple-select)
+     Adds/removes an option from the selection.
+     Check Answer is enabled while at least
+     one option is selected.
+  ------------------------------------------ */
+  QuizEngine.prototype.toggleOption = function (optionId) {
+    if (this.hasChecked) return;
+
+    var index = this.selectedOptionIds.indexOf(optionId);
+    if (index === -1) {
+      this.selectedOptionIds.push(optionId);
+    } else {
+      this.selectedOptionIds.splice(index, 1);
+    }
+
+    var opt = this.container.querySelector('.quiz-option[data-option-id="' + optionId + '"]');
+    if (opt) {
+      var isSelected = index === -1;
+      opt.classList.toggle('is-selected', isSelected);
+      opt.setAttribute('aria-checked', String(isSelected));
+      if (isSelected && typeof gsap !== 'undefined') {
+        gsap.from(opt, { scale: 0.95, duration: 0.1, ease: 'back.out(3)' });
+      }
+    }
+
+    var checkBtn = this.container.querySelector('#quiz-btn-check');
+    if (checkBtn) {
+      checkBtn.disabled = this.selectedOptionIds.length === 0;
+    }
+  };
+
   /* ------------------------------------------
      CHECK ANSWER
      Compares selected answer to correct answer.
-     Shows feedback with explanation.
+     Shows feedback with explanation. `isBlank`
+     means the question's time ran out before
+     an answer was given: it scores nothing.
   ------------------------------------------ */
-  QuizEngine.prototype.checkAnswer = function () {
+  QuizEngine.prototype.checkAnswer = function (isBlank) {
     if (this.hasChecked) return;
 
     var question = this.questions[this.currentQuestionIndex];
     var isCorrect = false;
+    var credit;
 
     // Determine correctness based on question type
     if (question.type === 'drag-match') {
-      isCorrect = this._checkDragMatch(question);
+      credit = this._scoreDragMatch(question);
+      isCorrect = credit === 1;
     } else if (question.type === 'true-false') {
       var selectedBool = this.selectedOptionId === 'true';
       isCorrect = selectedBool === question.correctAnswer;
+    } else if (question.type === 'multiple-select') {
+      credit = this._scoreMultipleSelect(question);
+      isCorrect = credit === 1;
+    } else if (question.type === 'ordering') {
+      credit = this._scoreOrdering(question);
+      isCorrect = credit === 1;
+    } else if (question.type === 'short-answer') {
+      this.lastGrade = this._gradeShortAnswer(question, this.shortAnswerText);
+      credit = this.lastGrade.credit;
+      isCorrect = this.lastGrade.correct;
     } else {
       // multiple-choice
       isCorrect = this.selectedOptionId === question.correctAnswer;
     }
 
+    // Credit is 0-1; only partially-scored types produce fractions
+    if (credit === undefined) {
+      credit = isCorrect ? 1 : 0;
+    }
+    if (isBlank) {
+      isCorrect = false;
+      credit = 0;
+    }
+
     this.hasChecked = true;
 
     // Record answer
+    var selected;
+    if (question.type === 'drag-match') {
+      selected = Object.assign({}, this.matchedPairs);
+    } else if (question.type === 'multiple-select') {
+      selected = this.selectedOptionIds.slice();
+    } else if (question.type === 'ordering') {
+      selected = this.currentOrder.slice();
+    } else if (question.type === 'short-answer') {
+      selected = this.shortAnswerText;
+    } else {
+      selected = this.selectedOptionId;
+    }
+
     this.answers[this.currentQuestionIndex] = {
-      selected: question.type === 'drag-match' ? this.matchedPairs : this.selectedOptionId,
-      correct: isCorrect
+      questionId: question.id,
+      selected: isBlank ? null : selected,
+      correct: isCorrect,
+      credit: credit,
+      timeMs: this.questionShownAt === null ? null : Date.now() - this.questionShownAt,
+      timedOut: this.questionTimedOut,
+      confidence: this.confidence,
+      hintsUsed: this.hintsShown,
+      eliminated: this.eliminatedOptionId,
+      penalty: this._lifelinePenalty(credit)
     };
 
-    // Update score
-    if (isCorrect) {
-      this.score++;
+    // Update score (lifeline penalties come off in _scorePercent)
+    this.score += credit;
+    this._saveSession();
+
+    // Misses come back in the Daily Review (review.js); practice rounds
+    // repeat questions just missed, so they aren't spaced reviews. An
+    // answer that needed help counts as only partly remembered.
+    if (window.reviewScheduler && !this.isMissedRetry) {
+      window.reviewScheduler.recordAnswer(question.id, credit - this.answers[this.currentQuestionIndex].penalty,
+                                          this.confidence);
+    }
+
+    this.container.querySelectorAll('.quiz-confidence-option').forEach(function (rating) {
+      rating.disabled = true;
+    });
+    this.container.querySelectorAll('.quiz-btn-lifeline').forEach(function (btn) {
+      btn.style.display = 'none';
+    });
+
+    // Exams hold all feedback until the results screen
+    if (this.mode === 'exam') {
+      var segment = this.container.querySelectorAll('.quiz-progress-segment')[this.currentQuestionIndex];
+      var body = this.container.querySelector('.quiz-body');
+      if (segment) segment.classList.replace('is-current', 'is-answered');
+      if (body) body.setAttribute('inert', ''); // no second submit while it slides out
+      this.nextQuestion();
+      return;
     }
 
     // Update options visual state
-    if (question.type !== 'drag-match') {
+    if (question.type === 'multiple-select') {
+      this._showMultipleSelectFeedback(question);
+    } else if (question.type === 'drag-match') {
+      this._showDragMatchFeedback(question);
+    } else if (question.type === 'ordering') {
+      this._showOrderingFeedback();
+    } else if (question.type === 'short-answer') {
+      this._lockShortAnswer(isCorrect, credit);
+    } else if (NON_OPTION_TYPES.indexOf(question.type) === -1) {
       this._showOptionFeedback(question, isCorrect);
     }
 
     // Show feedback panel
-    this._showFeedback(question, isCorrect);
+    this._showFeedback(question, isCorrect, credit);
 
     // Update progress bar segment
-    this._updateProgressSegment(isCorrect);
+    this._updateProgressSegment(isCorrect, credit);
 
     // Swap buttons: hide Check, show Next
     var checkBtn = this.container.querySelector('#quiz-btn-check');
@@ -520,27 +1192,135 @@
     });
   };
 
+  /* ------------------------------------------
+     SHOW MULTIPLE-SELECT FEEDBACK
+     Marks every option: picked and right,
+     picked but wrong, or missed. Options may
+     carry their own `feedback` line.
+  ------------------------------------------ */
+  QuizEngine.prototype._showMultipleSelectFeedback = function (question) {
+    var self = this;
+    var correctIds = question.correctAnswers || [];
+    var options = this.container.querySelectorAll('.quiz-option');
+
+    options.forEach(function (opt) {
+      var id = opt.getAttribute('data-option-id');
+      var isKey = correctIds.indexOf(id) !== -1;
+      var isPicked = self.selectedOptionIds.indexOf(id) !== -1;
+      var marker = opt.querySelector('.quiz-option-marker');
+
+      opt.style.pointerEvents = 'none'; // lock all options
+      opt.classList.remove('is-selected');
+
+      if (isPicked && isKey) {
+        opt.classList.add('is-correct');
+        if (marker) marker.innerHTML = '&#10003;';
+      } else if (isPicked) {
+        opt.classList.add('is-incorrect');
+        if (marker) marker.innerHTML = '&#10007;';
+        self._shakeElement(opt);
+      } else if (isKey) {
+        // Missed — highlight like the correct answer on an MC miss
+        opt.classList.add('is-correct-answer');
+        if (marker) {
+          marker.innerHTML = '&#10003;';
+          marker.style.borderColor = 'var(--success)';
+          marker.style.color = 'var(--success)';
+        }
+      }
+
+      var optionData = self._findOption(question, id);
+      if (optionData && optionData.feedback && (isPicked || isKey)) {
+        var note = document.createElement('span');
+        note.className = 'quiz-option-feedback';
+        note.textContent = optionData.feedback;
+        var textEl = opt.querySelector('.quiz-option-text');
+        if (textEl) textEl.appendChild(note);
+      }
+    });
+  };
+
+  /**
+   * Scores a multiple-select answer (the option ids picked) as credit
+   * between 0 and 1. Static so inline Quick Checks (inline-quiz.js)
+   * score a question the same way. `question.scoring` chooses the rule:
+   *   "all-or-nothing" (default) — every correct option and nothing else
+   *   "partial"    — (correct picks - wrong picks) / correct options, floored at 0
+   *   "per-option" — share of options judged right (picked or left alone)
+   */
+  QuizEngine.scoreMultipleSelect = function (question, selected) {
+    var correctIds = question.correctAnswers || [];
+    var hits = 0;
+    var falseHits = 0;
+    var rightCalls = 0;
+
+    question.options.forEach(function (opt) {
+      var isKey = correctIds.indexOf(opt.id) !== -1;
+      var isPicked = selected.indexOf(opt.id) !== -1;
+      if (isPicked && isKey) hits++;
+      if (isPicked && !isKey) falseHits++;
+      if (isPicked === isKey) rightCalls++;
+    });
+
+    switch (question.scoring) {
+      case 'partial':
+        return correctIds.length ? Math.max(0, (hits - falseHits) / correctIds.length) : 0;
+      case 'per-option':
+        return rightCalls / question.options.length;
+      default:
+        return (hits === correctIds.length && falseHits === 0) ? 1 : 0;
+    }
+  };
+
+  QuizEngine.prototype._scoreMultipleSelect = function (question) {
+    return QuizEngine.scoreMultipleSelect(question, this.selectedOptionIds);
+  };
+
   /* ------------------------------------------
      SHOW FEEDBACK
      Displays an explanation panel below the
      question with correct/incorrect styling.
   ------------------------------------------ */
-  QuizEngine.prototype._showFeedback = function (question, isCorrect) {
+  QuizEngine.prototype._showFeedback = function (question, isCorrect, credit) {
     var feedbackArea = this.container.querySelector('#quiz-feedback-area');
     if (!feedbackArea) return;
 
-    var html = '<div class="quiz-feedback ' + (isCorrect ? 'is-correct' : 'is-incorrect') + '" ' +
+    var isPartial = !isCorrect && credit > 0;
+    var stateClass = isCorrect ? 'is-correct' : (isPartial ? 'is-partial' : 'is-incorrect');
+
+    var html = '<div class="quiz-feedback ' + stateClass + '" ' +
                'role="alert" style="opacity:0;transform:translateY(10px);transition:all 0.15s var(--ease-out);">';
 
+    if (this.questionTimedOut) {
+      var answer = this.answers[this.currentQuestionIndex];
+      html += '<p class="quiz-feedback-timeout">\u23F1 Time\u2019s up \u2014 ' +
+              (answer && answer.selected !== null ? 'your answer was submitted as it stood.' : 'no answer was given.') + '</p>';
+    }
+
     html += '<div class="quiz-feedback-title">';
     if (isCorrect) {
       html += '<span>&#10003;</span> \u2728 Correct!';
+    } else if (isPartial) {
+      html += '<span>&#189;</span> Partly Right (' + Math.round(credit * 100) + '% credit)';
     } else {
       html += '<span>&#10007;</span> Not Quite';
     }
     html += '</div>';
 
+    if (question.type === 'short-answer') {
+      html += this._renderShortAnswerFeedback(question, this.lastGrade);
+    }
+
+    var answered = this.answers[this.currentQuestionIndex];
+    if (answered && answered.penalty > 0) {
+      html += '<p class="quiz-feedback-penalty">' + 'You used ' + this._describeLifelines(answered.hintsUsed, answered.eliminated ? 1 : 0) + ' \u2014 this answer earns ' +
+              this._formatPoints(credit - answered.penalty) + ' of ' + this._formatPoints(credit) + '.</p>';
+    }
+
     html += '<p>' + this._escapeHtml(question.explanation) + '</p>';
+    if (!isCorrect) {
+      html += this._renderSectionLink(this._sectionFor(question));
+    }
     html += '</div>';
 
     feedbackArea.innerHTML = html;
@@ -560,13 +1340,17 @@
      Updates the current progress bar segment
      to reflect correct/incorrect.
   ------------------------------------------ */
-  QuizEngine.prototype._updateProgressSegment = function (isCorrect) {
+  QuizEngine.prototype._updateProgressSegment = function (isCorrect, credit) {
     var segments = this.container.querySelectorAll('.quiz-progress-segment');
     var seg = segments[this.currentQuestionIndex];
     if (!seg) return;
 
     seg.classList.remove('is-current');
-    seg.classList.add(isCorrect ? 'is-correct' : 'is-incorrect');
+    if (isCorrect) {
+      seg.classList.add('is-correct');
+    } else {
+      seg.classList.add(credit > 0 ? 'is-partial' : 'is-incorrect');
+    }
   };
 
   /* ------------------------------------------
@@ -579,7 +1363,9 @@
 
     // Check if that was the last question
     if (this.currentQuestionIndex >= this.questions.length - 1) {
+      this._stopTimer();
       this.isComplete = true;
+      this._recordResults();
       this._animateOut(function () {
         self.showResults();
       });
@@ -588,10 +1374,9 @@
 
     // Reset per-question state
     this.currentQuestionIndex++;
-    this.selectedOptionId = null;
-    this.hasChecked = false;
-    this.dragSelectedSource = null;
-    this.matchedPairs = {};
+    this._resetQuestionState();
+    if (this.adaptive && !this.isMissedRetry) this._adaptQuestion(this.currentQuestionIndex);
+    this._saveSession();
 
     // Slide transition
     this._animateOut(function () {
@@ -600,25 +1385,514 @@
   };
 
   /* ------------------------------------------
-     SHOW RESULTS
-     Displays final score with animated counter,
-     pass/fail message, and retry button.
+     SESSION PERSISTENCE
+     The unfinished attempt is saved through
+     ProgressManager after every checked answer
+     (and drag-match pairing, hint and
+     elimination) so a reload can pick up where
+     the learner left off.
   ------------------------------------------ */
-  QuizEngine.prototype.showResults = function () {
-    var self = this;
-    var scorePercent = Math.round((this.score / this.questions.length) * 100);
-    var isPassing = scorePercent >= this.passingScore;
+  QuizEngine.prototype._saveSession = function () {
+    if (this.mode !== 'module') return;
+    if (!window.progressManager || typeof window.progressManager.saveQuizSession !== 'function') return;
+    if (this.isComplete) return;
+
+    window.progressManager.saveQuizSession(this.moduleId, {
+      attempt: this.attemptNumber,
+      isMissedRetry: this.isMissedRetry,
+      questions: this.questions.map(function (question) {
+        return {
+          id: question.id,
+          options: Array.isArray(question.options) ?
+            question.options.map(function (opt) { return opt.id; }) : null
+        };
+      }),
+      answers: this.answers.slice(),
+      score: this.score,
+      elapsedMs: this._elapsedMs(),
+      currentQuestionIndex: this.currentQuestionIndex,
+      hasChecked: this.hasChecked,
+      matchedPairs: Object.assign({}, this.matchedPairs),
+      currentOrder: this.currentOrder.slice(),
+      hintsShown: this.hintsShown,
+      eliminatedOptionId: this.eliminatedOptionId
+    });
+  };
+
+  /**
+   * Returns the saved session for this module if it still matches
+   * the question pool (questions can change between visits), else null.
+   */
+  QuizEngine.prototype._getSavedSession = function () {
+    if (this.mode !== 'module') return null;
+    if (!window.progressManager || typeof window.progressManager.getQuizSession !== 'function') return null;
+
+    var session = window.progressManager.getQuizSession(this.moduleId);
+    if (!session || !Array.isArray(session.questions) || !Array.isArray(session.answers) ||
+        session.questions.length === 0 || session.answers.length !== session.questions.length) {
+      return null;
+    }
+
+    for (var i = 0; i < session.questions.length; i++) {
+      if (!this._restoreQuestion(session.questions[i])) {
+        window.progressManager.clearQuizSession(this.moduleId);
+        return null;
+      }
+    }
+    return session;
+  };
+
+  /**
+   * Rebuilds a served question from its saved id and option order.
+   */
+  QuizEngine.prototype._restoreQuestion = function (saved) {
+    var original = this._findPoolQuestion(saved.id);
+    if (!original) return null;
+
+    var restored = Object.assign({}, original);
+    if (Array.isArray(original.options) && Array.isArray(saved.options)) {
+      if (saved.options.length !== original.options.length) return null;
+      restored.options = [];
+      for (var i = 0; i < saved.options.length; i++) {
+        var opt = this._findOption(original, saved.options[i]);
+        if (!opt) return null;
+        restored.options.push(opt);
+      }
+    }
+    return restored;
+  };
+
+  /* ------------------------------------------
+     SHOW RESUME PROMPT
+     Offers to continue the saved attempt or
+     discard it and start a fresh one.
+  ------------------------------------------ */
+  QuizEngine.prototype.showResumePrompt = function () {
+    var self = this;
+    var session = this.pendingSession;
+    var answered = session.answers.filter(function (a) { return a !== null; }).length;
+
+    var html = '<div class="quiz-resume" role="group" aria-labelledby="quiz-resume-title">';
+    html += '<p class="quiz-resume-title" id="quiz-resume-title">Welcome back!</p>';
+    html += '<p class="quiz-resume-text">You have an unfinished ' +
+            (session.isMissedRetry ? 'practice round' : 'quiz') + ' — ' + answered + ' of ' +
+            session.questions.length + ' questions answered.</p>';
+    html += '<div style="display:flex;gap:0.75rem;justify-content:center;flex-wrap:wrap;">';
+    html += '<button class="quiz-btn quiz-btn-next" id="quiz-btn-start-over">Start Over</button>';
+    html += '<button class="quiz-btn quiz-btn-check" id="quiz-btn-resume">Resume Quiz</button>';
+    html += '</div>';
+    html += '</div>';
+
+    this.container.innerHTML = html;
+
+    this.container.querySelector('#quiz-btn-resume').addEventListener('click', function () {
+      self.resumeSession();
+    });
+    this.container.querySelector('#quiz-btn-start-over').addEventListener('click', function () {
+      self.startOver();
+    });
+  };
+
+  /**
+   * Restores the pending session and continues from the first
+   * unanswered question.
+   */
+  QuizEngine.prototype.resumeSession = function () {
+    var self = this;
+    var session = this.pendingSession;
+    if (!session) return;
+    this.pendingSession = null;
+
+    this.questions = session.questions.map(function (saved) {
+      return self._restoreQuestion(saved);
+    });
+    this.servedQuestionIds = this.questions.map(function (question) { return question.id; });
+    this.answers = session.answers.slice();
+    this.score = session.score || 0;
+    this.attemptNumber = session.attempt || this.attemptNumber;
+    this.isMissedRetry = !!session.isMissedRetry;
+    this.isComplete = false;
+    // Time away from the page doesn't count towards the attempt
+    this.attemptStartedAt = Date.now() - (session.elapsedMs || 0);
+    this._resetQuestionState();
+
+    var next = this.answers.indexOf(null);
+    if (next === -1) {
+      // Every question was checked before the reload — finish the attempt,
+      // judged by the module's pass mark once course.json has loaded
+      this.currentQuestionIndex = this.questions.length - 1;
+      this.isComplete = true;
+      window.courseConfig.ready(function () {
+        self._recordResults();
+        self.render(self.container);
+      });
+      return;
+    }
+
+    this.currentQuestionIndex = next;
+
+    // Unchecked work on the current question, and the lifelines it used
+    if (session.currentQuestionIndex === next && !session.hasChecked) {
+      var question = this.questions[next];
+      this.matchedPairs = Object.assign({}, session.matchedPairs || {});
+      this.currentOrder = Array.isArray(session.currentOrder) ? session.currentOrder.slice() : [];
+      this.hintsShown = Math.min(session.hintsShown || 0, this._hintsFor(question).length);
+      if (session.eliminatedOptionId && this._findOption(question, session.eliminatedOptionId)) {
+        this.eliminatedOptionId = session.eliminatedOptionId;
+      }
+    }
+
+    this.render(this.container);
+    this._restoreLifelines();
+  };
+
+  /**
+   * Discards the pending session and starts the freshly drawn attempt.
+   */
+  QuizEngine.prototype.startOver = function () {
+    this.pendingSession = null;
+    if (window.progressManager && typeof window.progressManager.clearQuizSession === 'function') {
+      window.progressManager.clearQuizSession(this.moduleId);
+    }
+    this.render(this.container);
+  };
+
+  /* ------------------------------------------
+     RECORD RESULTS
+     Saves the finished attempt to progress
+     and gamification. Runs once per attempt;
+     practice rounds of missed questions are
+     not recorded as module scores, a Daily
+     Review only earns XP, and the final exam
+     keeps its own record.
+  ------------------------------------------ */
+  QuizEngine.prototype._recordResults = function () {
+    var self = this;
+
+    if (this.mode === 'exam') {
+      this._recordExamResults();
+      return;
+    }
+
+    if (this.mode === 'review') {
+      if (!this.isMissedRetry && window.gamification && typeof window.gamification.onReviewComplete === 'function') {
+        window.gamification.onReviewComplete(this.score, this.questions.length);
+      }
+      return;
+    }
+
+    if (window.progressManager && typeof window.progressManager.clearQuizSession === 'function') {
+      window.progressManager.clearQuizSession(this.moduleId);
+    }
+
+    if (this.isMissedRetry) return;
+
+    var scorePercent = this._scorePercent();
 
     // Save score via progressManager
     if (window.progressManager && typeof window.progressManager.saveQuizScore === 'function') {
-      window.progressManager.saveQuizScore(this.moduleId, scorePercent);
+      window.progressManager.saveQuizScore(this.moduleId, scorePercent, {
+        attempt: this.attemptNumber,
+        questionIds: this.servedQuestionIds.slice(),
+        durationMs: this._elapsedMs(),
+        results: this.answers.map(function (answer, i) {
+          return {
+            questionId: answer ? answer.questionId : self.questions[i].id,
+            correct: answer ? answer.correct : false,
+            credit: answer ? answer.credit : 0,
+            selected: answer ? answer.selected : null,
+            timeMs: answer && typeof answer.timeMs === 'number' ? answer.timeMs : null,
+            timedOut: !!(answer && answer.timedOut),
+            confidence: answer && answer.confidence ? answer.confidence : null,
+            hintsUsed: answer && answer.hintsUsed ? answer.hintsUsed : 0,
+            eliminated: answer && answer.eliminated ? answer.eliminated : null
+          };
+        })
+      });
     }
 
     // Record XP via gamification
     if (window.gamification && typeof window.gamification.onQuizComplete === 'function') {
-      window.gamification.onQuizComplete(scorePercent, this.questions.length, this.score);
+      var lifelines = this._lifelineCounts();
+      window.gamification.onQuizComplete(scorePercent, this.questions.length, this.score, this.moduleId, {
+        hints: lifelines.hints,
+        eliminations: lifelines.eliminations,
+        hintXp: this.lifelines.hintXp,
+        eliminateXp: this.lifelines.eliminateXp
+      });
+    }
+  };
+
+  /**
+   * Saves a finished final exam through ProgressManager and gamification.
+   */
+  QuizEngine.prototype._recordExamResults = function () {
+    var self = this;
+    var scorePercent = this._scorePercent();
+    var passed = scorePercent >= this._passingScore();
+
+    if (window.progressManager && typeof window.progressManager.saveFinalExam === 'function') {
+      window.progressManager.saveFinalExam(scorePercent, {
+        passed: passed,
+        timedOut: this.timedOut,
+        durationMs: this._elapsedMs(),
+        moduleScores: this._moduleScores().reduce(function (scores, row) {
+          scores[row.moduleId] = row.percent;
+          return scores;
+        }, {}),
+        results: this.answers.map(function (answer, i) {
+          return {
+            questionId: self.questions[i].id,
+            moduleId: self.questions[i].moduleId || null,
+            correct: answer ? answer.correct : false,
+            credit: answer ? answer.credit : 0,
+            selected: answer ? answer.selected : null,
+            timeMs: answer && typeof answer.timeMs === 'number' ? answer.timeMs : null,
+            timedOut: !!(answer && answer.timedOut),
+            confidence: answer && answer.confidence ? answer.confidence : null
+          };
+        })
+      });
     }
 
+    if (window.gamification && typeof window.gamification.onFinalExamComplete === 'function') {
+      window.gamification.onFinalExamComplete(scorePercent, this.score, passed);
+    }
+  };
+
+  /**
+   * Score per module for the current attempt, in course order:
+   * [{ moduleId, title, earned, total, percent }]. Questions carry
+   * their module as `moduleId` (set by exam.js).
+   */
+  QuizEngine.prototype._moduleScores = function () {
+    var self = this;
+    var byModule = {};
+    var order = [];
+
+    this.questions.forEach(function (question, i) {
+      var moduleId = question.moduleId || self.moduleId;
+      if (!byModule[moduleId]) {
+        var module = window.courseConfig ? window.courseConfig.getModule(moduleId) : null;
+        byModule[moduleId] = { moduleId: moduleId, title: module ? module.title : moduleId, earned: 0, total: 0 };
+        order.push(moduleId);
+      }
+      byModule[moduleId].total++;
+      byModule[moduleId].earned += self.answers[i] ? self.answers[i].credit : 0;
+    });
+
+    var courseOrder = window.courseConfig ? window.courseConfig.getModules().map(function (m) { return m.id; }) : [];
+    order.sort(function (a, b) { return courseOrder.indexOf(a) - courseOrder.indexOf(b); });
+
+    return order.map(function (moduleId) {
+      var row = byModule[moduleId];
+      row.percent = Math.round((row.earned / row.total) * 100);
+      return row;
+    });
+  };
+
+  /**
+   * Results table of the per-module scores.
+   */
+  QuizEngine.prototype._renderModuleBreakdown = function () {
+    var self = this;
+    var html = '<table class="quiz-breakdown">';
+    html += '<caption>Score by module</caption>';
+    html += '<thead><tr><th scope="col">Module</th><th scope="col">Correct</th><th scope="col">Score</th></tr></thead><tbody>';
+    this._moduleScores().forEach(function (row) {
+      html += '<tr class="' + (row.percent >= self._passingScore() ? 'is-passing' : 'is-failing') + '">' +
+              '<th scope="row">' + self._escapeHtml(row.title) + '</th>' +
+              '<td>' + self._formatScore(row.earned) + ' / ' + row.total + '</td>' +
+              '<td>' + row.percent + '%</td></tr>';
+    });
+    html += '</tbody></table>';
+    return html;
+  };
+
+  /**
+   * Answers per confidence level for the current attempt, in
+   * CONFIDENCE_LEVELS order: [{ id, label, answered, correct }].
+   * Answers checked without a rating are left out.
+   */
+  QuizEngine.prototype._calibration = function () {
+    var answers = this.answers;
+    return CONFIDENCE_LEVELS.map(function (level) {
+      var rated = answers.filter(function (answer) { return answer && answer.confidence === level.id; });
+      return {
+        id: level.id,
+        label: level.label,
+        answered: rated.length,
+        correct: rated.filter(function (answer) { return answer.correct; }).length
+      };
+    });
+  };
+
+  /**
+   * Calibration panel for the results screen: a chart of right and
+   * wrong answers at each confidence level (drawn once the panel is
+   * on the page) and a note on any confident misses.
+   */
+  QuizEngine.prototype._renderCalibration = function () {
+    var rows = this._calibration();
+    if (!rows.some(function (row) { return row.answered > 0; })) return '';
+
+    var certain = rows[rows.length - 1];
+    var confidentMisses = certain.answered - certain.correct;
+
+    var summary = rows.filter(function (row) { return row.answered > 0; }).map(function (row) {
+      return row.label + ': ' + Math.round((row.correct / row.answered) * 100) + '% right';
+    }).join(' \u00B7 ');
+
+    var html = '<div class="chart-figure quiz-calibration">';
+    html += '<p class="chart-figure-title" id="quiz-calibration-title">How sure you were vs. how you did</p>';
+    html += '<div class="quiz-calibration-chart" role="img" aria-labelledby="quiz-calibration-title" ' +
+            'aria-describedby="quiz-calibration-summary"></div>';
+    html += '<p class="chart-figure-caption" id="quiz-calibration-summary">' + summary + '.';
+    if (confidentMisses > 0) {
+      html += ' You were certain of ' + confidentMisses + (confidentMisses === 1 ? ' answer' : ' answers') +
+              ' that turned out wrong' + (this.isMissedRetry ? '.' : ' \u2014 ' +
+              (confidentMisses === 1 ? 'it comes' : 'they come') + ' first in your Daily Review.');
+    }
+    html += '</p>';
+    html += '</div>';
+    return html;
+  };
+
+  QuizEngine.prototype._drawCalibrationChart = function () {
+    var el = this.container.querySelector('.quiz-calibration-chart');
+    if (!el || typeof window.createGroupedBarChart !== 'function') return;
+
+    var rows = this._calibration();
+    window.createGroupedBarChart(el, {
+      labels: rows.map(function (row) { return row.label; }),
+      series: [
+        { name: 'Right', color: '#6B9E5E', values: rows.map(function (row) { return row.correct; }) },
+        { name: 'Wrong', color: '#C75B5B', values: rows.map(function (row) { return row.answered - row.correct; }) }
+      ]
+    }, { width: 420, height: 220 });
+  };
+
+  /* ------------------------------------------
+     SECTION LINKS
+     Questions name the part of the module that
+     teaches them (`sectionId` in quizzes.json,
+     matching a data-section-id on the module
+     page), so a miss can point straight back
+     to the content.
+  ------------------------------------------ */
+
+  /**
+   * The section a question is taught in: { moduleId, moduleTitle, id,
+   * number, title, href, onPage }, or null if it has no sectionId or
+   * the course manifest doesn't list it. `href` stays on the page when
+   * the section is on it (`onPage`), else goes to the module page.
+   */
+  QuizEngine.prototype._sectionFor = function (question) {
+    if (!question.sectionId || !window.courseConfig) return null;
+
+    var moduleId = question.moduleId || this.moduleId;
+    var module = window.courseConfig.getModule(moduleId);
+    var sections = window.courseConfig.getSections(moduleId);
+
+    for (var i = 0; i < sections.length; i++) {
+      if (sections[i].id !== question.sectionId) continue;
+      var onPage = !!document.querySelector('.content-section[data-section-id="' + sections[i].id + '"]');
+      return {
+        moduleId: moduleId,
+        moduleTitle: module.title,
+        id: sections[i].id,
+        number: i + 1,
+        title: sections[i].title,
+        href: (onPage ? '' : module.page) + '#' + sections[i].id,
+        onPage: onPage
+      };
+    }
+    return null;
+  };
+
+  /* "Section 3: Schools of Thought", naming the module when it's another page */
+  QuizEngine.prototype._sectionName = function (section) {
+    return (section.onPage ? '' : section.moduleTitle + ', ') + 'Section ' + section.number + ': ' + section.title;
+  };
+
+  /**
+   * "Review this in Section N" link for a missed question ('' without a section).
+   */
+  QuizEngine.prototype._renderSectionLink = function (section) {
+    if (!section) return '';
+    return '<a class="quiz-section-link" href="' + section.href + '"' + (section.onPage ? '' : ' data-transition') + '>Review this in ' +
+           this._escapeHtml(this._sectionName(section)) + ' \u2192</a>';
+  };
+
+  /**
+   * Sections behind this attempt's misses, weakest first:
+   * [{ section, missed, total }] where `missed` counts answers that
+   * didn't earn full credit.
+   */
+  QuizEngine.prototype._weakSections = function () {
+    var self = this;
+    var bySection = {};
+    var rows = [];
+
+    this.questions.forEach(function (question, i) {
+      var section = self._sectionFor(question);
+      if (!section) return;
+
+      var key = section.moduleId + '#' + section.id;
+      if (!bySection[key]) {
+        bySection[key] = { section: section, missed: 0, total: 0 };
+        rows.push(bySection[key]);
+      }
+      bySection[key].total++;
+      if (!self.answers[i] || self.answers[i].credit < 1) bySection[key].missed++;
+    });
+
+    return rows.filter(function (row) { return row.missed > 0; }).sort(function (a, b) {
+      return b.missed / b.total - a.missed / a.total || b.missed - a.missed ||
+        (a.section.moduleId === b.section.moduleId ? a.section.number - b.section.number : 0);
+    });
+  };
+
+  /**
+   * Results list linking to the weakest sections ('' if nothing was missed).
+   */
+  QuizEngine.prototype._renderWeakSections = function () {
+    var self = this;
+    var rows = this._weakSections();
+    var more = rows.length - MAX_WEAK_SECTIONS;
+    if (rows.length === 0) return '';
+
+    var html = '<div class="quiz-weak-sections">';
+    html += '<p class="quiz-weak-sections-title" id="quiz-weak-sections-title">Sections to revisit</p>';
+    html += '<ul aria-labelledby="quiz-weak-sections-title">';
+    rows.slice(0, MAX_WEAK_SECTIONS).forEach(function (row) {
+      html += '<li><a class="quiz-section-link" href="' + row.section.href + '"' + (row.section.onPage ? '' : ' data-transition') + '>' +
+              self._escapeHtml(self._sectionName(row.section)) + '</a>' +
+              '<span class="quiz-weak-sections-count">' + row.missed + ' of ' + row.total + ' missed</span></li>';
+    });
+    html += '</ul>';
+    if (more > 0) {
+      html += '<p class="quiz-weak-sections-more">\u2026and ' + more + (more === 1 ? ' more section' : ' more sections') +
+              ' \u2014 see Review Answers for every link.</p>';
+    }
+    html += '</div>';
+    return html;
+  };
+
+  /* ------------------------------------------
+     SHOW RESULTS
+     Displays final score with animated counter,
+     pass/fail message, and retry / review buttons.
+  ------------------------------------------ */
+  QuizEngine.prototype.showResults = function () {
+    var self = this;
+    this._stopTimer();
+    var scorePercent = this._scorePercent();
+    var passingScore = this._passingScore();
+    var missedCount = this._missedIndexes().length;
+    // A review has no pass mark — it's a pass when nothing was forgotten
+    var isPassing = this.mode === 'review' ? missedCount === 0 : scorePercent >= passingScore;
+
     var html = '<div class="quiz-results">';
 
     // Animated score
@@ -627,33 +1901,64 @@
 
     // Label
     html += '<div class="quiz-results-label">';
-    if (isPassing) {
+    if (this.isMissedRetry) {
+      html += 'Practice round complete — this round doesn\u2019t change your ' +
+              (this.mode === 'review' ? 'review schedule.' : 'module score.');
+    } else if (this.mode === 'review') {
+      html += missedCount === 0 ? 'Review complete — you remembered everything!' :
+              'Review complete. The questions you missed will come back tomorrow.';
+    } else if (this.mode === 'exam') {
+      html += isPassing ? 'Congratulations! You passed the final exam.' :
+              'You need ' + passingScore + '% to pass the final exam. Revisit your weakest modules below.';
+    } else if (isPassing) {
       html += 'Excellent! You passed this module quiz.';
     } else {
-      html += 'You need ' + this.passingScore + '% to pass. Keep learning!';
+      html += 'You need ' + passingScore + '% to pass. Keep learning!';
     }
     html += '</div>';
 
-    // Score breakdown
+    // Score breakdown (the raw count, and what's left of it after lifelines)
+    var lifelines = this._lifelineCounts();
     html += '<p style="color:var(--neutral-500);font-size:var(--text-sm);margin-bottom:2rem;">' +
-            'You got ' + this.score + ' out of ' + this.questions.length + ' questions correct.</p>';
+            'You got ' + this._formatScore(this.score) + ' out of ' + this.questions.length + ' questions correct' +
+            (lifelines.penalty > 0 ? ', or ' + this._formatPoints(this.score - lifelines.penalty) + ' after lifelines' : '') + '.</p>';
+
+    if (this.adaptive && !this.isMissedRetry) {
+      html += '<p class="quiz-adaptive-note">Questions adapted to how you were doing, and your score is weighted by ' +
+              'difficulty: easy \u00D7' + DIFFICULTY_WEIGHTS.easy + ', medium \u00D7' + DIFFICULTY_WEIGHTS.medium +
+              ', hard \u00D7' + DIFFICULTY_WEIGHTS.hard + '.</p>';
+    }
+    if (lifelines.penalty > 0) {
+      html += '<p class="quiz-lifeline-note">Lifelines (' + this._describeLifelines(lifelines.hints, lifelines.eliminations) + ') cost ' +
+              this._formatPoints(lifelines.penalty) + (lifelines.penalty === 1 ? ' point' : ' points') + '.</p>';
+    }
+    if (this.timedOut) {
+      html += '<p class="quiz-timeout-note">Time ran out — unanswered questions were marked wrong.</p>';
+    }
+    if (this.mode === 'exam') {
+      html += this._renderModuleBreakdown();
+    }
+    html += this._renderCalibration();
+    html += this._renderWeakSections();
 
     // Buttons
     html += '<div style="display:flex;gap:0.75rem;justify-content:center;flex-wrap:wrap;">';
-    html += '<button class="quiz-btn quiz-btn-check" id="quiz-btn-retry" aria-label="Retry quiz">Try Again</button>';
+    html += '<button class="quiz-btn quiz-btn-next" id="quiz-btn-review" aria-label="Review your answers">Review Answers</button>';
+    if (missedCount > 0 && this.mode !== 'exam') {
+      html += '<button class="quiz-btn quiz-btn-next" id="quiz-btn-retry-missed" ' +
+              'aria-label="Retry the ' + missedCount + ' questions you missed">Retry Missed (' + missedCount + ')</button>';
+    }
+    if (this.mode !== 'review') {
+      html += '<button class="quiz-btn quiz-btn-check" id="quiz-btn-retry" aria-label="Retry quiz">Try Again</button>';
+    }
     html += '</div>';
 
     html += '</div>';
 
     this.container.innerHTML = html;
 
-    // Bind retry button
-    var retryBtn = this.container.querySelector('#quiz-btn-retry');
-    if (retryBtn) {
-      retryBtn.addEventListener('click', function () {
-        self.retry();
-      });
-    }
+    this._bindResultsActions();
+    this._drawCalibrationChart();
 
     // Animate counter
     this._animateCounter(0, scorePercent, 600);
@@ -676,22 +1981,489 @@
     }
   };
 
+  /**
+   * Wires the Review / Retry Missed / Try Again / Back buttons
+   * shared by the results and review screens.
+   */
+  QuizEngine.prototype._bindResultsActions = function () {
+    var self = this;
+    var actions = {
+      'quiz-btn-retry': function () { self.retry(); },
+      'quiz-btn-retry-missed': function () { self.retryMissed(); },
+      'quiz-btn-review': function () { self.showReview('all'); },
+      'quiz-btn-back-results': function () { self.showResults(); }
+    };
+
+    Object.keys(actions).forEach(function (id) {
+      var btn = self.container.querySelector('#' + id);
+      if (btn) btn.addEventListener('click', actions[id]);
+    });
+  };
+
+  /* ------------------------------------------
+     SHOW REVIEW
+     Walks back through every question with the
+     learner's answer, the correct answer and
+     the explanation. `filter` is 'all' or
+     'missed'.
+  ------------------------------------------ */
+  QuizEngine.prototype.showReview = function (filter) {
+    var self = this;
+    var missed = this._missedIndexes();
+    var indexes = filter === 'missed' ? missed : this.questions.map(function (q, i) { return i; });
+
+    var html = '<div class="quiz-review">';
+
+    html += '<div class="quiz-header">';
+    html += '<span class="quiz-progress-text">Review: ' + this._escapeHtml(this.moduleTitle) + '</span>';
+    html += '<div class="quiz-review-filters" role="group" aria-label="Filter questions">';
+    html += '<button type="button" class="quiz-review-filter' + (filter !== 'missed' ? ' is-active' : '') + '" ' +
+            'data-filter="all" aria-pressed="' + (filter !== 'missed') + '">All (' + this.questions.length + ')</button>';
+    html += '<button type="button" class="quiz-review-filter' + (filter === 'missed' ? ' is-active' : '') + '" ' +
+            'data-filter="missed" aria-pressed="' + (filter === 'missed') + '">Missed (' + missed.length + ')</button>';
+    html += '</div>';
+    html += '</div>';
+
+    if (indexes.length === 0) {
+      html += '<p class="quiz-review-empty">Nothing missed — every answer was correct. \u2728</p>';
+    }
+
+    html += '<ol class="quiz-review-list">';
+    indexes.forEach(function (i) {
+      html += self._renderReviewItem(self.questions[i], self.answers[i], i);
+    });
+    html += '</ol>';
+
+    html += '<div class="quiz-actions" style="justify-content:center;flex-wrap:wrap;">';
+    html += '<button class="quiz-btn quiz-btn-next" id="quiz-btn-back-results">Back to Results</button>';
+    if (missed.length > 0 && this.mode !== 'exam') {
+      html += '<button class="quiz-btn quiz-btn-next" id="quiz-btn-retry-missed">Retry Missed (' + missed.length + ')</button>';
+    }
+    if (this.mode !== 'review') {
+      html += '<button class="quiz-btn quiz-btn-check" id="quiz-btn-retry" aria-label="Retry quiz">Try Again</button>';
+    }
+    html += '</div>';
+
+    html += '</div>';
+
+    this.container.innerHTML = html;
+
+    this.container.querySelectorAll('.quiz-review-filter').forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        self.showReview(btn.getAttribute('data-filter'));
+        var active = self.container.querySelector('.quiz-review-filter[data-filter="' + btn.getAttribute('data-filter') + '"]');
+        if (active) active.focus();
+      });
+    });
+    this._bindResultsActions();
+  };
+
+  /**
+   * One review card: question, learner's answer, correct answer, explanation.
+   */
+  QuizEngine.prototype._renderReviewItem = function (question, answer, index) {
+    var credit = answer ? answer.credit : 0;
+    var stateClass = credit === 1 ? 'is-correct' : (credit > 0 ? 'is-partial' : 'is-incorrect');
+    var stateText = credit === 1 ? 'Correct' : (credit > 0 ? 'Partly right' : 'Missed');
+
+    var html = '<li class="quiz-review-item ' + stateClass + '">';
+    html += '<div class="quiz-review-status">' + (index + 1) + '. ' + stateText + '</div>';
+    html += '<p class="quiz-review-question">' + this._escapeHtml(question.question) + '</p>';
+    html += '<dl class="quiz-review-answers">';
+    html += '<dt>Your answer</dt><dd>' +
+            this._escapeHtml(this._describeAnswer(question, answer ? answer.selected : null) || 'No answer') + '</dd>';
+    if (answer && answer.confidence) {
+      html += '<dt>How sure you were</dt><dd>' + confidenceLabel(answer.confidence) + '</dd>';
+    }
+    if (answer && (answer.hintsUsed || answer.eliminated)) {
+      html += '<dt>Help used</dt><dd>' + this._describeLifelines(answer.hintsUsed || 0, answer.eliminated ? 1 : 0) + '</dd>';
+    }
+    if (credit < 1) {
+      html += '<dt>Correct answer</dt><dd>' + this._escapeHtml(this._describeCorrectAnswer(question)) + '</dd>';
+    }
+    html += '</dl>';
+    html += '<p class="quiz-review-explanation">' + this._escapeHtml(question.explanation) + '</p>';
+    if (credit < 1) {
+      html += this._renderSectionLink(this._sectionFor(question));
+    }
+    html += '</li>';
+    return html;
+  };
+
+  /**
+   * Human-readable version of a recorded answer for any question type.
+   */
+  QuizEngine.prototype._describeAnswer = function (question, selected) {
+    var self = this;
+    if (selected === null || selected === undefined) return '';
+
+    switch (question.type) {
+      case 'true-false':
+        return selected === 'true' ? 'True' : 'False';
+      case 'multiple-select':
+        return selected.map(function (id) {
+          var opt = self._findOption(question, id);
+          return opt ? opt.text : id;
+        }).join('; ');
+      case 'ordering':
+        return selected.map(function (id) {
+          var item = self._findOrderingItem(question, id);
+          return item ? item.text : id;
+        }).join(' \u2192 ');
+      case 'drag-match':
+        return Object.keys(selected).map(function (sourceId) {
+          return self._dragMatchText(question, 'sources', sourceId) + ' \u2192 ' +
+                 self._dragMatchText(question, 'targets', selected[sourceId]);
+        }).join('; ');
+      case 'short-answer':
+        return selected;
+      default:
+        var opt = this._findOption(question, selected);
+        return opt ? opt.text : '';
+    }
+  };
+
+  /**
+   * Human-readable correct answer for any question type.
+   */
+  QuizEngine.prototype._describeCorrectAnswer = function (question) {
+    switch (question.type) {
+      case 'true-false':
+        return question.correctAnswer ? 'True' : 'False';
+      case 'multiple-select':
+        return this._describeAnswer(question, question.correctAnswers || []);
+      case 'ordering':
+        return this._describeAnswer(question, question.correctOrder);
+      case 'drag-match':
+        return this._describeAnswer(question, question.correctPairs);
+      case 'short-answer':
+        return question.modelAnswer || (question.acceptedAnswers || [])[0] || '';
+      default:
+        return this._describeAnswer(question, question.correctAnswer);
+    }
+  };
+
+  /**
+   * Indexes of questions not answered fully correctly.
+   */
+  QuizEngine.prototype._missedIndexes = function () {
+    var missed = [];
+    for (var i = 0; i < this.questions.length; i++) {
+      if (!this.answers[i] || this.answers[i].credit < 1) missed.push(i);
+    }
+    return missed;
+  };
+
+  /**
+   * Milliseconds since the current attempt's first question was shown.
+   */
+  QuizEngine.prototype._elapsedMs = function () {
+    return this.attemptStartedAt === null ? 0 : Date.now() - this.attemptStartedAt;
+  };
+
+  /**
+   * Score needed to pass this module (or the final exam), from the
+   * shared course configuration.
+   */
+  QuizEngine.prototype._passingScore = function () {
+    return window.courseConfig.getPassingScore(this.moduleId);
+  };
+
+  /**
+   * Final score as a whole percentage.
+   */
+  QuizEngine.prototype._scorePercent = function () {
+    if (this.questions.length === 0) return 0;
+    if (this.adaptive && !this.isMissedRetry) return this._weightedScorePercent();
+    return Math.round(((this.score - this._lifelineCounts().penalty) / this.questions.length) * 100);
+  };
+
+  /* ------------------------------------------
+     ADAPTIVE QUESTIONS
+     Each question of an adaptive attempt is
+     picked when it comes up, from the pool
+     questions not yet served. The level starts
+     at medium, moves up after STEP_UP_STREAK
+     correct answers in a row and down after a
+     miss; right after a miss an easier question
+     on the same concept comes first. Questions
+     without a `difficulty` count as medium.
+  ------------------------------------------ */
+  QuizEngine.prototype._adaptQuestion = function (index) {
+    var served = this.questions.slice(0, index).map(function (question) { return question.id; });
+    var candidates = this._shuffle(this.questionPool).filter(function (question) {
+      return served.indexOf(question.id) === -1;
+    });
+    if (candidates.length === 0) return;
+
+    var target = this._targetLevel(index);
+    var missed = index > 0 && this.answers[index - 1] && this.answers[index - 1].credit < 1 ?
+      this.questions[index - 1] : null;
+
+    // Remedial: an easier question on the concept just missed
+    if (missed && missed.concept) {
+      var remedial = candidates.filter(function (question) {
+        return question.concept === missed.concept && levelOf(question) < levelOf(missed);
+      });
+      if (remedial.length > 0) candidates = remedial;
+    }
+
+    var best = candidates.reduce(function (pick, question) {
+      return Math.abs(levelOf(question) - target) < Math.abs(levelOf(pick) - target) ? question : pick;
+    });
+
+    this.questions[index] = this._prepareQuestion(best);
+    this.servedQuestionIds[index] = best.id;
+  };
+
+  /**
+   * Difficulty level (index into DIFFICULTY_LEVELS) for the question at
+   * `index`, replayed from the answers before it.
+   */
+  QuizEngine.prototype._targetLevel = function (index) {
+    var level = 1;
+    var streak = 0;
+
+    for (var i = 0; i < index; i++) {
+      if (!this.answers[i]) continue;
+      if (this.answers[i].credit === 1) {
+        streak++;
+        if (streak >= STEP_UP_STREAK) {
+          level = Math.min(DIFFICULTY_LEVELS.length - 1, level + 1);
+          streak = 0;
+        }
+      } else {
+        level = Math.max(0, level - 1);
+        streak = 0;
+      }
+    }
+    return level;
+  };
+
+  /**
+   * Adaptive score: each answer earns its credit times its difficulty
+   * weight, out of one point per question, so easier questions served
+   * after misses count for less and harder ones can make up for a miss.
+   */
+  QuizEngine.prototype._weightedScorePercent = function () {
+    var self = this;
+    var earned = this.answers.reduce(function (sum, answer, i) {
+      return sum + (answer ? (answer.credit - (answer.penalty || 0)) *
+        DIFFICULTY_WEIGHTS[DIFFICULTY_LEVELS[levelOf(self.questions[i])]] : 0);
+    }, 0);
+    return Math.min(100, Math.round((earned / this.questions.length) * 100));
+  };
+
+  QuizEngine.prototype._difficultyLabel = function (question) {
+    var name = DIFFICULTY_LEVELS[levelOf(question)];
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  };
+
+  /* ------------------------------------------
+     TIME LIMITS
+     Countdowns run from the first question
+     (whole attempt) and from each question
+     being shown. When the attempt's time runs
+     out it ends and every question still
+     unanswered is marked wrong; when a
+     question's runs out its answer is
+     submitted as it stands.
+  ------------------------------------------ */
+  QuizEngine.prototype._startTimer = function () {
+    var self = this;
+    if ((!this._totalLimitMs() && !this._questionLimitMs()) || this.timerId !== null) return;
+
+    this.timerId = setInterval(function () {
+      if (self._totalLimitMs()) {
+        var remaining = self._remainingMs();
+        self._updateTimer('quiz-timer', remaining, TOTAL_LOW_MS, 'Less than a minute left for the quiz.');
+        if (remaining <= 0) {
+          self._timeUp();
+          return;
+        }
+      }
+      if (self._questionLimitMs() && !self.hasChecked && self.questionShownAt !== null) {
+        var questionRemaining = self._questionRemainingMs();
+        self._updateTimer('quiz-question-timer', questionRemaining, QUESTION_LOW_MS, '10 seconds left for this question.');
+        if (questionRemaining <= 0) {
+          self._questionTimeUp();
+        }
+      }
+    }, 1000);
+  };
+
+  QuizEngine.prototype._stopTimer = function () {
+    if (this.timerId === null) return;
+    clearInterval(this.timerId);
+    this.timerId = null;
+  };
+
+  /**
+   * Learner's extra-time multiplier: 1 is standard time, 0 turns
+   * time limits off.
+   */
+  QuizEngine.prototype._timeMultiplier = function () {
+    return window.learnerProfiles ? window.learnerProfiles.getTimeMultiplier() : 1;
+  };
+
+  /* Time limits with extra time applied (null = untimed) */
+  QuizEngine.prototype._totalLimitMs = function () {
+    var multiplier = this._timeMultiplier();
+    return this.timeLimitMs && multiplier ? this.timeLimitMs * multiplier : null;
+  };
+
+  QuizEngine.prototype._questionLimitMs = function () {
+    var multiplier = this._timeMultiplier();
+    return this.questionTimeLimitMs && multiplier ? this.questionTimeLimitMs * multiplier : null;
+  };
+
+  QuizEngine.prototype._remainingMs = function () {
+    return Math.max(0, this._totalLimitMs() - this._elapsedMs());
+  };
+
+  QuizEngine.prototype._questionRemainingMs = function () {
+    var shown = this.questionShownAt === null ? Date.now() : this.questionShownAt;
+    return Math.max(0, this._questionLimitMs() - (Date.now() - shown));
+  };
+
+  QuizEngine.prototype._renderTimer = function (id, label, remaining, lowAt) {
+    return '<span class="quiz-timer' + (remaining <= lowAt ? ' is-low' : '') + '" id="' + id + '" ' +
+           'role="timer" aria-label="' + label + '">' + this._formatClock(remaining) + '</span>';
+  };
+
+  /**
+   * Refreshes a countdown, announcing once when it runs low.
+   */
+  QuizEngine.prototype._updateTimer = function (id, remaining, lowAt, lowMessage) {
+    var timerEl = this.container && this.container.querySelector('#' + id);
+    if (!timerEl) return;
+
+    timerEl.textContent = this._formatClock(remaining);
+    if (remaining <= lowAt && !timerEl.classList.contains('is-low')) {
+      timerEl.classList.add('is-low');
+      var statusEl = this.container.querySelector('#quiz-timer-status');
+      if (statusEl) statusEl.textContent = lowMessage;
+    }
+  };
+
+  QuizEngine.prototype._timeUp = function () {
+    var self = this;
+    this._stopTimer();
+    if (this.isComplete) return;
+
+    this.answers = this.answers.map(function (answer, i) {
+      return answer || {
+        questionId: self.questions[i].id,
+        selected: null,
+        correct: false,
+        credit: 0,
+        timeMs: null,
+        timedOut: true,
+        confidence: null,
+        hintsUsed: 0,
+        eliminated: null,
+        penalty: 0
+      };
+    });
+    this.timedOut = true;
+    this.isComplete = true;
+    this._recordResults();
+    this.showResults();
+  };
+
+  /**
+   * Submits the current question when its time runs out. An answer
+   * that isn't ready to check yet (nothing picked, matches left
+   * unfilled) counts as blank.
+   */
+  QuizEngine.prototype._questionTimeUp = function () {
+    var checkBtn = this.container.querySelector('#quiz-btn-check');
+    this.questionTimedOut = true;
+    this.checkAnswer(!checkBtn || checkBtn.disabled);
+  };
+
+  /**
+   * Milliseconds as m:ss (or h:mm:ss).
+   */
+  QuizEngine.prototype._formatClock = function (ms) {
+    var totalSeconds = Math.ceil(ms / 1000);
+    var hours = Math.floor(totalSeconds / 3600);
+    var minutes = Math.floor((totalSeconds % 3600) / 60);
+    var seconds = totalSeconds % 60;
+    var pad = function (n) { return (n < 10 ? '0' : '') + n; };
+    return (hours ? hours + ':' + pad(minutes) : minutes) + ':' + pad(seconds);
+  };
+
   /* ------------------------------------------
      RETRY
-     Resets quiz state and re-renders from
-     question 1.
+     Resets quiz state, draws a fresh set of
+     questions and re-renders from question 1.
   ------------------------------------------ */
   QuizEngine.prototype.retry = function () {
+    this.isMissedRetry = false;
+    this.timedOut = false;
     this.currentQuestionIndex = 0;
+    this._drawQuestions();
+    this.score = 0;
+    this.isComplete = false;
+    this._resetQuestionState();
+
+    this.render(this.container);
+  };
+
+  /* ------------------------------------------
+     RETRY MISSED
+     Practice round with only the questions
+     missed in the last round (options are
+     reshuffled). Not saved as a module score.
+  ------------------------------------------ */
+  QuizEngine.prototype.retryMissed = function () {
+    var self = this;
+    var missed = this._missedIndexes().map(function (i) { return self.questions[i]; });
+    if (missed.length === 0) return;
+
+    this.isMissedRetry = true;
+    this.questions = missed.map(function (question) {
+      var original = self._findPoolQuestion(question.id) || question;
+      return self._prepareQuestion(original);
+    });
     this.answers = new Array(this.questions.length).fill(null);
+    this.attemptStartedAt = null;
+    this.currentQuestionIndex = 0;
     this.score = 0;
     this.isComplete = false;
+    this._resetQuestionState();
+
+    this.render(this.container);
+  };
+
+  /**
+   * Clears everything tied to the question currently on screen.
+   */
+  QuizEngine.prototype._resetQuestionState = function () {
     this.selectedOptionId = null;
+    this.selectedOptionIds = [];
     this.hasChecked = false;
     this.dragSelectedSource = null;
     this.matchedPairs = {};
+    this.currentOrder = [];
+    this.shortAnswerText = '';
+    this.lastGrade = null;
+    this.questionShownAt = null;
+    this.questionTimedOut = false;
+    this.confidence = null;
+    this.hintsShown = 0;
+    this.eliminatedOptionId = null;
+  };
 
-    this.render(this.container);
+  /**
+   * Finds a question in the full pool by id.
+   */
+  QuizEngine.prototype._findPoolQuestion = function (questionId) {
+    for (var i = 0; i < this.questionPool.length; i++) {
+      if (this.questionPool[i].id === questionId) return this.questionPool[i];
+    }
+    return null;
   };
 
   /* ------------------------------------------
@@ -744,29 +2516,34 @@
 
   /**
    * Initializes drag-match interaction.
-   * Uses GSAP Draggable if available, otherwise
-   * falls back to click-to-select matching.
+   * Click/tap and keyboard matching always work; GSAP
+   * Draggable is layered on top when available.
    */
   QuizEngine.prototype._initDragMatch = function () {
-    var self = this;
     var question = this.questions[this.currentQuestionIndex];
 
-    // Reset match state
-    this.matchedPairs = {};
+    // Pairs restored from a saved session are kept; the selection is not
     this.dragSelectedSource = null;
 
     var sources = this.container.querySelectorAll('.drag-item');
     var targets = this.container.querySelectorAll('.drop-zone');
 
-    // On small screens, prefer click-to-select over drag for better touch UX
-    if (window.innerWidth <= 640) {
-      this._initClickMatch(sources, targets, question);
-    } else if (window.gsap && window.Draggable) {
+    this._initClickMatch(sources, targets, question);
+
+    if (this._canDrag()) {
       this._initGSAPDrag(sources, targets, question);
-    } else {
-      // Click-to-select fallback
-      this._initClickMatch(sources, targets, question);
     }
+
+    this._syncDragMatch(question);
+  };
+
+  /**
+   * Whether pointer dragging should be used. On small screens we
+   * prefer tap/keyboard controls for better touch UX; without GSAP
+   * Draggable there is nothing to drag with.
+   */
+  QuizEngine.prototype._canDrag = function () {
+    return window.innerWidth > 640 && !!(window.gsap && window.Draggable);
   };
 
   /**
@@ -782,6 +2559,10 @@
         type: 'x,y',
         bounds: self.container,
         onDragStart: function () {
+          if (self.hasChecked) {
+            this.endDrag();
+            return;
+          }
           srcEl.classList.add('is-dragging');
         },
         onDrag: function () {
@@ -798,30 +2579,15 @@
           srcEl.classList.remove('is-dragging');
 
           // Find the drop zone we landed on
-          var matched = false;
+          var dropTarget = null;
           targets.forEach(function (tgtEl) {
             tgtEl.classList.remove('is-highlight');
-
-            if (self._isOverlapping(srcEl, tgtEl)) {
-              var targetId = tgtEl.getAttribute('data-target-id');
-
-              // Record match
-              self.matchedPairs[sourceId] = targetId;
-              srcEl.classList.add('is-matched');
-              tgtEl.classList.add('is-matched');
-
-              // Show matched text in drop zone
-              var matchedSpan = tgtEl.querySelector('.drop-zone-matched');
-              if (matchedSpan) {
-                matchedSpan.textContent = srcEl.textContent;
-                matchedSpan.style.display = '';
-              }
-
-              matched = true;
+            if (!dropTarget && self._isOverlapping(srcEl, tgtEl)) {
+              dropTarget = tgtEl;
             }
           });
 
-          // Snap back if not dropped on target
+          // Always snap back; the match is shown in the drop zone
           gsap.to(srcEl, {
             x: 0,
             y: 0,
@@ -829,15 +2595,18 @@
             ease: 'power2.out'
           });
 
-          // Enable check button if all pairs matched
-          self._checkDragMatchReady(question);
+          if (dropTarget) {
+            self.matchPair(sourceId, dropTarget.getAttribute('data-target-id'));
+          }
         }
       });
     });
   };
 
   /**
-   * Click-to-select fallback for drag matching.
+   * Click / keyboard matching: pick an item, then pick where it goes.
+   * Picking a filled zone with no item selected clears that match,
+   * and picking an already-matched item lets it be reassigned.
    */
   QuizEngine.prototype._initClickMatch = function (sources, targets, question) {
     var self = this;
@@ -845,117 +2614,215 @@
     sources.forEach(function (srcEl) {
       srcEl.addEventListener('click', function () {
         if (self.hasChecked) return;
-        if (srcEl.classList.contains('is-matched')) return;
-
-        // Deselect previous
-        sources.forEach(function (s) { s.classList.remove('is-selected'); });
-        srcEl.classList.add('is-selected');
-        self.dragSelectedSource = srcEl.getAttribute('data-source-id');
 
-        // Highlight targets
-        targets.forEach(function (t) {
-          if (!t.classList.contains('is-matched')) {
-            t.classList.add('is-highlight');
-          }
-        });
+        var sourceId = srcEl.getAttribute('data-source-id');
+        if (self.dragSelectedSource === sourceId) {
+          self.dragSelectedSource = null;
+          self._announce('Selection cleared.');
+        } else {
+          self.dragSelectedSource = sourceId;
+          self._announce(srcEl.textContent + ' selected. Now choose where it belongs.');
+        }
+        self._syncDragMatch(question);
       });
 
       srcEl.addEventListener('keydown', function (e) {
         if (e.key === 'Enter' || e.key === ' ') {
           e.preventDefault();
           srcEl.click();
+        } else if (e.key === 'Escape' && self.dragSelectedSource) {
+          self.dragSelectedSource = null;
+          self._announce('Selection cleared.');
+          self._syncDragMatch(question);
         }
       });
     });
 
     targets.forEach(function (tgtEl) {
+      var targetId = tgtEl.getAttribute('data-target-id');
+
       tgtEl.addEventListener('click', function () {
         if (self.hasChecked) return;
-        if (!self.dragSelectedSource) return;
-        if (tgtEl.classList.contains('is-matched')) return;
-
-        var sourceId = self.dragSelectedSource;
-        var targetId = tgtEl.getAttribute('data-target-id');
 
-        // Record match
-        self.matchedPairs[sourceId] = targetId;
-
-        // Visual updates
-        var srcEl = self.container.querySelector('.drag-item[data-source-id="' + sourceId + '"]');
-        if (srcEl) {
-          srcEl.classList.remove('is-selected');
-          srcEl.classList.add('is-matched');
-        }
-        tgtEl.classList.remove('is-highlight');
-        tgtEl.classList.add('is-matched');
-
-        // Show matched text
-        var matchedSpan = tgtEl.querySelector('.drop-zone-matched');
-        if (matchedSpan && srcEl) {
-          matchedSpan.textContent = srcEl.textContent;
-          matchedSpan.style.display = '';
+        if (self.dragSelectedSource) {
+          self.matchPair(self.dragSelectedSource, targetId);
+        } else {
+          var matchedSource = self._sourceForTarget(targetId);
+          if (matchedSource) self.unmatchSource(matchedSource);
         }
-
-        // Reset selection
-        self.dragSelectedSource = null;
-        sources.forEach(function (s) { s.classList.remove('is-selected'); });
-        targets.forEach(function (t) {
-          if (!t.classList.contains('is-matched')) {
-            t.classList.remove('is-highlight');
-          }
-        });
-
-        // Check if all pairs are matched
-        self._checkDragMatchReady(question);
       });
 
       tgtEl.addEventListener('keydown', function (e) {
         if (e.key === 'Enter' || e.key === ' ') {
           e.preventDefault();
           tgtEl.click();
+        } else if ((e.key === 'Delete' || e.key === 'Backspace') && !self.hasChecked) {
+          e.preventDefault();
+          var matchedSource = self._sourceForTarget(targetId);
+          if (matchedSource) self.unmatchSource(matchedSource);
         }
       });
     });
   };
 
   /**
-   * Enables Check Answer once all source items are matched.
+   * Pairs a source with a target. Each target holds one source:
+   * whatever was there before goes back to the item list.
+   */
+  QuizEngine.prototype.matchPair = function (sourceId, targetId) {
+    if (this.hasChecked) return;
+
+    var question = this.questions[this.currentQuestionIndex];
+    var previous = this._sourceForTarget(targetId);
+    if (previous && previous !== sourceId) {
+      delete this.matchedPairs[previous];
+    }
+
+    this.matchedPairs[sourceId] = targetId;
+    this.dragSelectedSource = null;
+    this._syncDragMatch(question);
+    this._saveSession();
+
+    this._announce(this._dragMatchText(question, 'sources', sourceId) + ' matched to ' +
+                   this._dragMatchText(question, 'targets', targetId) + '.');
+  };
+
+  /**
+   * Removes a source's match so it can be placed again.
+   */
+  QuizEngine.prototype.unmatchSource = function (sourceId) {
+    if (this.hasChecked || !this.matchedPairs[sourceId]) return;
+
+    var question = this.questions[this.currentQuestionIndex];
+    delete this.matchedPairs[sourceId];
+    this._syncDragMatch(question);
+    this._saveSession();
+
+    this._announce('Match removed for ' + this._dragMatchText(question, 'sources', sourceId) + '.');
+  };
+
+  /**
+   * Re-applies matchedPairs and the current selection to the DOM:
+   * item/zone classes, matched text, ARIA labels and Check button.
+   */
+  QuizEngine.prototype._syncDragMatch = function (question) {
+    var self = this;
+
+    this.container.querySelectorAll('.drag-item').forEach(function (srcEl) {
+      var sourceId = srcEl.getAttribute('data-source-id');
+      var targetId = self.matchedPairs[sourceId];
+      var isSelected = self.dragSelectedSource === sourceId;
+
+      srcEl.classList.toggle('is-selected', isSelected);
+      srcEl.classList.toggle('is-matched', !!targetId);
+      srcEl.setAttribute('aria-pressed', String(isSelected));
+      srcEl.setAttribute('aria-label', srcEl.textContent +
+        (targetId ? ', matched to ' + self._dragMatchText(question, 'targets', targetId) : ', not matched'));
+    });
+
+    this.container.querySelectorAll('.drop-zone').forEach(function (tgtEl) {
+      var targetId = tgtEl.getAttribute('data-target-id');
+      var sourceId = self._sourceForTarget(targetId);
+      var matchedSpan = tgtEl.querySelector('.drop-zone-matched');
+      var label = self._dragMatchText(question, 'targets', targetId);
+
+      tgtEl.classList.toggle('is-matched', !!sourceId);
+      tgtEl.classList.toggle('is-highlight', !!self.dragSelectedSource && !self.hasChecked);
+
+      if (matchedSpan) {
+        matchedSpan.textContent = sourceId ? self._dragMatchText(question, 'sources', sourceId) : '';
+        matchedSpan.style.display = sourceId ? '' : 'none';
+      }
+
+      if (sourceId) {
+        tgtEl.setAttribute('aria-label', label + ', holds ' + self._dragMatchText(question, 'sources', sourceId) +
+          (self.hasChecked ? '' : '. Press Delete to remove.'));
+      } else {
+        tgtEl.setAttribute('aria-label', label + ', empty');
+      }
+    });
+
+    this._checkDragMatchReady(question);
+  };
+
+  /**
+   * Returns the source currently matched to a target, if any.
+   */
+  QuizEngine.prototype._sourceForTarget = function (targetId) {
+    for (var sourceId in this.matchedPairs) {
+      if (this.matchedPairs.hasOwnProperty(sourceId) && this.matchedPairs[sourceId] === targetId) {
+        return sourceId;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Looks up the display text of a drag-match source or target.
+   */
+  QuizEngine.prototype._dragMatchText = function (question, listName, id) {
+    var list = question[listName] || [];
+    for (var i = 0; i < list.length; i++) {
+      if (list[i].id === id) return list[i].text;
+    }
+    return '';
+  };
+
+  /**
+   * Enables Check Answer only while every source item is matched.
    */
   QuizEngine.prototype._checkDragMatchReady = function (question) {
     var totalSources = question.sources.length;
     var matchedCount = Object.keys(this.matchedPairs).length;
 
-    if (matchedCount >= totalSources) {
-      var checkBtn = this.container.querySelector('#quiz-btn-check');
-      if (checkBtn) checkBtn.disabled = false;
-    }
+    var checkBtn = this.container.querySelector('#quiz-btn-check');
+    if (checkBtn && !this.hasChecked) checkBtn.disabled = matchedCount < totalSources;
   };
 
   /**
-   * Evaluates drag-match correctness.
-   * Returns true if all pairs are correctly matched.
+   * Evaluates drag-match answers as credit between 0 and 1, without
+   * touching the page. By default every correct pair earns its
+   * share; `"scoring": "all-or-nothing"` restores strict scoring.
    */
-  QuizEngine.prototype._checkDragMatch = function (question) {
+  QuizEngine.prototype._scoreDragMatch = function (question) {
     var correctPairs = question.correctPairs;
-    var allCorrect = true;
+    var total = 0;
+    var correctCount = 0;
 
     for (var sourceId in correctPairs) {
       if (correctPairs.hasOwnProperty(sourceId)) {
-        if (this.matchedPairs[sourceId] !== correctPairs[sourceId]) {
-          allCorrect = false;
-          break;
-        }
+        total++;
+        if (this.matchedPairs[sourceId] === correctPairs[sourceId]) correctCount++;
       }
     }
 
-    // Visual feedback on pairs
+    if (question.scoring === 'all-or-nothing') {
+      return correctCount === total ? 1 : 0;
+    }
+    return total ? correctCount / total : 0;
+  };
+
+  /**
+   * Locks the zones and marks each checked pair right or wrong.
+   */
+  QuizEngine.prototype._showDragMatchFeedback = function (question) {
     var self = this;
+    var correctPairs = question.correctPairs;
+
+    this.dragSelectedSource = null;
+    this.container.querySelectorAll('.drop-zone').forEach(function (tgtEl) {
+      tgtEl.classList.remove('is-highlight');
+      tgtEl.style.pointerEvents = 'none';
+    });
+
     for (var sId in this.matchedPairs) {
       if (this.matchedPairs.hasOwnProperty(sId)) {
         var srcEl = this.container.querySelector('.drag-item[data-source-id="' + sId + '"]');
         var tgtId = this.matchedPairs[sId];
         var tgtEl = this.container.querySelector('.drop-zone[data-target-id="' + tgtId + '"]');
 
+        if (srcEl) srcEl.style.pointerEvents = 'none';
+
         if (correctPairs[sId] === tgtId) {
           if (srcEl) srcEl.style.borderColor = 'var(--success)';
           if (tgtEl) tgtEl.style.borderColor = 'var(--success)';
@@ -963,13 +2830,16 @@
           if (srcEl) {
             srcEl.style.borderColor = 'var(--error)';
             self._shakeElement(srcEl);
+
+            var hint = document.createElement('span');
+            hint.className = 'drag-item-answer';
+            hint.textContent = 'belongs with: ' + self._dragMatchText(question, 'targets', correctPairs[sId]);
+            srcEl.appendChild(hint);
           }
           if (tgtEl) tgtEl.style.borderColor = 'var(--error)';
         }
       }
     }
-
-    return allCorrect;
   };
 
   /**
@@ -981,6 +2851,396 @@
     return !(r1.right < r2.left || r1.left > r2.right || r1.bottom < r2.top || r1.top > r2.bottom);
   };
 
+  /* ========================================
+     ORDERING HELPERS
+     ======================================== */
+
+  /**
+   * Wires up move buttons, arrow keys and (when available)
+   * GSAP Draggable for the ordering list.
+   */
+  QuizEngine.prototype._initOrdering = function () {
+    var self = this;
+    var list = this.container.querySelector('.ordering-list');
+    if (!list) return;
+
+    var items = list.querySelectorAll('.ordering-item');
+
+    items.forEach(function (itemEl) {
+      var itemId = itemEl.getAttribute('data-item-id');
+
+      itemEl.querySelectorAll('.ordering-move').forEach(function (btn) {
+        btn.addEventListener('click', function (e) {
+          e.stopPropagation();
+          self.moveOrderingItem(itemId, parseInt(btn.getAttribute('data-direction'), 10));
+          btn.focus();
+        });
+      });
+
+      itemEl.addEventListener('keydown', function (e) {
+        if (e.target !== itemEl) return;
+        if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+          e.preventDefault();
+          self.moveOrderingItem(itemId, e.key === 'ArrowUp' ? -1 : 1);
+          itemEl.focus();
+        }
+      });
+    });
+
+    if (this._canDrag()) {
+      this._initOrderingDrag(list, items);
+    }
+
+    this._refreshOrderingList();
+  };
+
+  /**
+   * GSAP Draggable for ordering: items drag vertically and
+   * drop into the slot matching where they land.
+   */
+  QuizEngine.prototype._initOrderingDrag = function (list, items) {
+    var self = this;
+
+    items.forEach(function (itemEl) {
+      var itemId = itemEl.getAttribute('data-item-id');
+
+      Draggable.create(itemEl, {
+        type: 'y',
+        bounds: list,
+        onDragStart: function () {
+          if (self.hasChecked) {
+            this.endDrag();
+            return;
+          }
+          itemEl.classList.add('is-dragging');
+        },
+        onDragEnd: function () {
+          itemEl.classList.remove('is-dragging');
+
+          // New slot = number of other items whose midpoint is above ours
+          var rect = itemEl.getBoundingClientRect();
+          var centerY = rect.top + rect.height / 2;
+          var targetIndex = 0;
+          list.querySelectorAll('.ordering-item').forEach(function (sib) {
+            if (sib === itemEl) return;
+            var sibRect = sib.getBoundingClientRect();
+            if (sibRect.top + sibRect.height / 2 < centerY) targetIndex++;
+          });
+
+          gsap.set(itemEl, { x: 0, y: 0 });
+
+          var fromIndex = self.currentOrder.indexOf(itemId);
+          self.moveOrderingItem(itemId, targetIndex - fromIndex);
+        }
+      });
+    });
+  };
+
+  /**
+   * Moves an item by `offset` places (negative = up) and
+   * re-syncs the list. Enables Check Answer after the first move.
+   */
+  QuizEngine.prototype.moveOrderingItem = function (itemId, offset) {
+    if (this.hasChecked || !offset) return;
+
+    var from = this.currentOrder.indexOf(itemId);
+    if (from === -1) return;
+    var to = Math.max(0, Math.min(this.currentOrder.length - 1, from + offset));
+    if (to === from) return;
+
+    this.currentOrder.splice(from, 1);
+    this.currentOrder.splice(to, 0, itemId);
+    this._refreshOrderingList();
+
+    var question = this.questions[this.currentQuestionIndex];
+    var item = this._findOrderingItem(question, itemId);
+    if (item) {
+      this._announce(item.text + ' moved to position ' + (to + 1) + ' of ' + this.currentOrder.length + '.');
+    }
+
+    var checkBtn = this.container.querySelector('#quiz-btn-check');
+    if (checkBtn) checkBtn.disabled = false;
+  };
+
+  /**
+   * Re-orders the list DOM to match currentOrder, renumbers the
+   * position badges and disables moves past either end.
+   */
+  QuizEngine.prototype._refreshOrderingList = function () {
+    var list = this.container.querySelector('.ordering-list');
+    if (!list) return;
+
+    var count = this.currentOrder.length;
+    for (var i = 0; i < count; i++) {
+      var itemEl = list.querySelector('.ordering-item[data-item-id="' + this.currentOrder[i] + '"]');
+      if (!itemEl) continue;
+      list.appendChild(itemEl);
+      itemEl.querySelector('.ordering-item-position').textContent = i + 1;
+      itemEl.setAttribute('aria-posinset', i + 1);
+      itemEl.setAttribute('aria-setsize', count);
+      itemEl.querySelector('.ordering-move[data-direction="-1"]').disabled = this.hasChecked || i === 0;
+      itemEl.querySelector('.ordering-move[data-direction="1"]').disabled = this.hasChecked || i === count - 1;
+    }
+  };
+
+  /**
+   * Scores the current order as credit between 0 and 1, without
+   * touching the page. `question.scoring` chooses the rule:
+   *   "all-or-nothing" (default) — the exact sequence
+   *   "partial"  — share of item pairs in the right relative order,
+   *                so one misplaced stage costs little
+   *   "position" — share of items in exactly the right slot
+   */
+  QuizEngine.prototype._scoreOrdering = function (question) {
+    var correctOrder = question.correctOrder;
+    var order = this.currentOrder;
+    var inPlace = order.filter(function (itemId, index) {
+      return correctOrder.indexOf(itemId) === index;
+    }).length;
+
+    if (question.scoring === 'position') {
+      return inPlace / order.length;
+    }
+
+    if (question.scoring === 'partial') {
+      var pairs = 0;
+      var agreeing = 0;
+      for (var i = 0; i < order.length; i++) {
+        for (var j = i + 1; j < order.length; j++) {
+          pairs++;
+          if (correctOrder.indexOf(order[i]) < correctOrder.indexOf(order[j])) agreeing++;
+        }
+      }
+      return pairs ? agreeing / pairs : 1;
+    }
+
+    return inPlace === order.length ? 1 : 0;
+  };
+
+  /**
+   * Locks the list and marks each item as in or out of place.
+   */
+  QuizEngine.prototype._showOrderingFeedback = function () {
+    var self = this;
+    var correctOrder = this.questions[this.currentQuestionIndex].correctOrder;
+
+    this._refreshOrderingList();
+
+    this.currentOrder.forEach(function (itemId, index) {
+      var correctIndex = correctOrder.indexOf(itemId);
+      var itemEl = self.container.querySelector('.ordering-item[data-item-id="' + itemId + '"]');
+      if (!itemEl) return;
+
+      itemEl.classList.add(correctIndex === index ? 'is-correct' : 'is-incorrect');
+      if (correctIndex !== index) {
+        var hint = document.createElement('span');
+        hint.className = 'ordering-item-answer';
+        hint.textContent = 'belongs at #' + (correctIndex + 1);
+        itemEl.querySelector('.ordering-item-text').appendChild(hint);
+        self._shakeElement(itemEl);
+      }
+    });
+  };
+
+  /**
+   * Looks up an ordering item object on a question by id.
+   */
+  QuizEngine.prototype._findOrderingItem = function (question, itemId) {
+    for (var i = 0; i < question.items.length; i++) {
+      if (question.items[i].id === itemId) return question.items[i];
+    }
+    return null;
+  };
+
+  /* ========================================
+     SHORT-ANSWER GRADING
+     ======================================== */
+
+  /**
+   * Grades free text against a short-answer question. Checked in order:
+   *   1. `acceptedAnswers` / `synonyms` — exact after normalization; only
+   *      if none is, a typo per word is forgiven (see typoAllowance)
+   *   2. `patterns` — case-insensitive regular expressions tested on the
+   *      normalized text, not what was typed: lowercase, no accents or
+   *      punctuation, single spaces, no leading article (normalizeAnswer).
+   *      In quizzes.json write "^object\\s+perm", not "^the object-perm"
+   *   3. `rubric` — [{keyword, synonyms}] phrases that must appear; the
+   *      share found must reach `rubricPassScore` (default 1). With
+   *      `"scoring": "partial"` a lower share earns that much credit.
+   * Returns {credit, correct, matchedBy, keywordsHit, keywordsMissed}.
+   */
+  QuizEngine.prototype._gradeShortAnswer = function (question, text) {
+    var normalized = normalizeAnswer(text);
+    var words = normalized.split(' ');
+    var grade = { credit: 0, correct: false, matchedBy: null, keywordsHit: [], keywordsMissed: [] };
+
+    if (!normalized) return grade;
+
+    var accepted = (question.acceptedAnswers || []).concat(question.synonyms || []).map(function (answer) {
+      return normalizeAnswer(answer).split(' ');
+    });
+    var isAccepted = function (fuzzy) {
+      return accepted.some(function (target) {
+        return target.length === words.length && containsPhrase(words, target, fuzzy);
+      });
+    };
+    if (isAccepted(false) || isAccepted(true)) {
+      grade.credit = 1;
+      grade.correct = true;
+      grade.matchedBy = 'accepted';
+      return grade;
+    }
+
+    var patterns = question.patterns || [];
+    for (var p = 0; p < patterns.length; p++) {
+      try {
+        if (new RegExp(patterns[p], 'i').test(normalized)) {
+          grade.credit = 1;
+          grade.correct = true;
+          grade.matchedBy = 'pattern';
+          return grade;
+        }
+      } catch (e) {
+        console.warn('[QuizEngine] Invalid pattern on question ' + question.id + ':', e.message);
+      }
+    }
+
+    var rubric = question.rubric || [];
+    if (rubric.length === 0) return grade;
+
+    rubric.forEach(function (entry) {
+      var terms = [entry.keyword].concat(entry.synonyms || []).map(function (term) {
+        return normalizeAnswer(term).split(' ');
+      });
+      var hasTerm = function (fuzzy) {
+        return terms.some(function (term) { return containsPhrase(words, term, fuzzy); });
+      };
+      var found = hasTerm(false) || hasTerm(true);
+      (found ? grade.keywordsHit : grade.keywordsMissed).push(entry.keyword);
+    });
+
+    var share = grade.keywordsHit.length / rubric.length;
+    var passScore = typeof question.rubricPassScore === 'number' ? question.rubricPassScore : 1;
+
+    grade.matchedBy = 'rubric';
+    if (share >= passScore) {
+      grade.credit = 1;
+      grade.correct = true;
+    } else if (question.scoring === 'partial') {
+      grade.credit = share;
+    }
+    return grade;
+  };
+
+  /**
+   * Locks the short-answer field and tints it by result.
+   */
+  QuizEngine.prototype._lockShortAnswer = function (isCorrect, credit) {
+    var input = this.container.querySelector('#quiz-short-answer-input');
+    if (!input) return;
+
+    input.readOnly = true;
+    if (isCorrect) {
+      input.classList.add('is-correct');
+    } else {
+      input.classList.add(credit > 0 ? 'is-partial' : 'is-incorrect');
+      this._shakeElement(input);
+    }
+  };
+
+  /**
+   * Model answer plus the rubric keywords found / missed.
+   */
+  QuizEngine.prototype._renderShortAnswerFeedback = function (question, grade) {
+    var self = this;
+    var html = '';
+
+    if (question.modelAnswer) {
+      html += '<p class="short-answer-model"><strong>Model answer:</strong> ' +
+              this._escapeHtml(question.modelAnswer) + '</p>';
+    }
+
+    if (grade && grade.matchedBy === 'rubric') {
+      html += '<ul class="short-answer-keywords" aria-label="Key ideas">';
+      grade.keywordsHit.forEach(function (keyword) {
+        html += '<li class="is-hit">&#10003; ' + self._escapeHtml(keyword) + '</li>';
+      });
+      grade.keywordsMissed.forEach(function (keyword) {
+        html += '<li class="is-missed">&#10007; ' + self._escapeHtml(keyword) + '</li>';
+      });
+      html += '</ul>';
+    }
+
+    return html;
+  };
+
+  /**
+   * Lowercases, strips accents and punctuation, collapses whitespace
+   * and drops a leading article, so "The Object-Permanence!" and
+   * "object permanence" compare equal.
+   */
+  function normalizeAnswer(str) {
+    return String(str || '')
+      .toLowerCase()
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^(the|a|an) /, '');
+  }
+
+  /**
+   * How many typos to forgive in a word: none in short words, one in
+   * longer ones. Never two, or "conversation" would pass for
+   * "conservation".
+   */
+  function typoAllowance(word) {
+    return word.length <= 4 ? 0 : 1;
+  }
+
+  /**
+   * Edit distance between two strings, counting a swap of neighbouring
+   * letters ("develpoment") as one edit like any other typo.
+   */
+  function editDistance(a, b) {
+    if (a === b) return 0;
+    var rows = [];
+    for (var i = 0; i <= a.length; i++) {
+      rows[i] = [i];
+      for (var k = 1; k <= b.length; k++) {
+        if (i === 0) {
+          rows[i][k] = k;
+          continue;
+        }
+        var cost = a.charAt(i - 1) === b.charAt(k - 1) ? 0 : 1;
+        rows[i][k] = Math.min(rows[i - 1][k] + 1, rows[i][k - 1] + 1, rows[i - 1][k - 1] + cost);
+        if (i > 1 && k > 1 && a.charAt(i - 1) === b.charAt(k - 2) && a.charAt(i - 2) === b.charAt(k - 1)) {
+          rows[i][k] = Math.min(rows[i][k], rows[i - 2][k - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  /**
+   * Whether `phrase` (array of words) appears as a run in `words`;
+   * when `fuzzy`, each word may have a typo (see typoAllowance).
+   */
+  function containsPhrase(words, phrase, fuzzy) {
+    for (var start = 0; start + phrase.length <= words.length; start++) {
+      var matches = true;
+      for (var i = 0; i < phrase.length; i++) {
+        var word = words[start + i];
+        if (word !== phrase[i] && !(fuzzy && editDistance(word, phrase[i]) <= typoAllowance(phrase[i]))) {
+          matches = false;
+          break;
+        }
+      }
+      if (matches) return true;
+    }
+    return false;
+  }
+
   /* ========================================
      ANIMATION HELPERS
      ======================================== */
@@ -1085,6 +3345,40 @@
     return div.innerHTML;
   };
 
+  /**
+   * Speaks a status message to screen readers via the
+   * current question's live region.
+   */
+  QuizEngine.prototype._announce = function (message) {
+    var status = this.container && this.container.querySelector('#quiz-drag-status');
+    if (status) status.textContent = message;
+  };
+
+  /**
+   * Formats a (possibly fractional) score, e.g. 7 or 7.5.
+   */
+  QuizEngine.prototype._formatScore = function (score) {
+    return String(Math.round(score * 10) / 10);
+  };
+
+  /**
+   * Formats a lifeline cost or what's left after one, e.g. 0.25 or 1.5.
+   */
+  QuizEngine.prototype._formatPoints = function (points) {
+    return String(Math.round(points * 100) / 100);
+  };
+
+  /**
+   * Looks up an option object on a question by id.
+   */
+  QuizEngine.prototype._findOption = function (question, optionId) {
+    var options = question.options || [];
+    for (var i = 0; i < options.length; i++) {
+      if (options[i].id === optionId) return options[i];
+    }
+    return null;
+  };
+
   /**
    * Fisher-Yates shuffle (returns new array).
    */
@@ -1138,6 +3432,13 @@
       '  transform: translateY(-1px);' +
       '  box-shadow: 0 4px 12px rgba(81,117,58,0.3);' +
       '}' +
+      '.quiz-btn-lifeline {' +
+      '  background: transparent; color: var(--primary-600, #8B7250);' +
+      '  border: 2px solid var(--primary-200, #E0D0B8); min-width: auto;' +
+      '}' +
+      '.quiz-btn-lifeline:hover:not(:disabled) {' +
+      '  border-color: var(--primary-500, #A38660);' +
+      '}' +
       '.quiz-actions { display: flex; gap: 0.75rem; margin-top: 1.5rem; }' +
       '.drag-item.is-selected {' +
       '  border-color: var(--primary-500, #A38660);' +
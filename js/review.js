@@ -0,0 +1,396 @@
+/* ========================================
+   CHILD PSYCHOLOGY COURSE — REVIEW.JS
+   Spaced-repetition review queue (SM-2).
+   Questions missed in a module quiz or a
+   Quick Check are scheduled for review; the
+   Daily Review page (review.html) serves the
+   ones that are due from every module and
+   feeds the answers back into the schedule
+   and into XP and streaks.
+   ======================================== */
+
+(function () {
+  'use strict';
+
+  var STORAGE_KEY = 'childPsych_review';
+  var CURRENT_VERSION = 1;
+  var QUIZ_DATA_URL = 'data/quizzes.json';
+  var DAILY_LIMIT = 20;           // most questions served in one Daily Review
+  var DAY_MS = 24 * 60 * 60 * 1000;
+
+  /* SM-2 parameters */
+  var DEFAULT_EASE = 2.5;
+  var MIN_EASE = 1.3;
+  var PASSING_QUALITY = 3;        // answers graded below this start the item over
+
+  /* ------------------------------------------
+     SM-2
+     Returns the item rescheduled after an
+     answer graded 0–5 (5 = perfect recall,
+     below 3 = forgotten), reviewed on `today`
+     ('YYYY-MM-DD').
+  ------------------------------------------ */
+  function sm2(item, quality, today) {
+    var next = Object.assign({}, item);
+
+    if (quality >= PASSING_QUALITY) {
+      if (next.repetitions === 0) {
+        next.interval = 1;
+      } else if (next.repetitions === 1) {
+        next.interval = 6;
+      } else {
+        next.interval = Math.round(next.interval * next.ease);
+      }
+      next.repetitions++;
+    } else {
+      next.repetitions = 0;
+      next.interval = 1;
+      next.lapses++;
+    }
+
+    next.ease = Math.max(MIN_EASE, next.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+    next.ease = Math.round(next.ease * 100) / 100;
+    next.due = addDays(today, next.interval);
+    next.lastReviewed = new Date().toISOString();
+    return next;
+  }
+
+  /* Quiz credit (0–1) as an SM-2 grade. A lucky guess is only just
+     passing recall, and a miss the learner was certain of is graded as
+     a blackout: it's a misconception, not a slip. */
+  function qualityForCredit(credit, confidence) {
+    if (credit >= 1) return confidence === 'guess' ? 3 : 4;
+    if (credit >= 0.5) return 3;
+    return confidence === 'certain' ? 0 : 1;
+  }
+
+  function todayString() {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  function addDays(dateString, days) {
+    return new Date(Date.parse(dateString) + days * DAY_MS).toISOString().split('T')[0];
+  }
+
+  function isValidReview(data) {
+    return !!data.items && typeof data.items === 'object';
+  }
+
+  /* ------------------------------------------
+     REVIEW SCHEDULER CLASS
+     One schedule per storage key, so other
+     decks can keep their own:
+       items: { id: { ease, interval, repetitions,
+                      lapses, due, lastReviewed,
+                      confidentMiss } }
+     `confidentMiss` marks an item last missed
+     with a "Certain" confidence rating.
+  ------------------------------------------ */
+  function ReviewScheduler(storageKey) {
+    var self = this;
+    this.storageKey = storageKey;
+    this.data = this.load();
+
+    // Another tab reviewed: keep the latest review of each item.
+    // Otherwise the stored copy changed underneath us: reload.
+    document.addEventListener('storageChanged', function (e) {
+      if (e.detail.keys.indexOf(self.storageKey) === -1) return;
+      if (e.detail.source === 'tab') {
+        self._mergeFromOtherTab(window.courseStorage.getItem(self.storageKey));
+        return;
+      }
+      self.data = self.load();
+    });
+  }
+
+  ReviewScheduler.prototype.createDefault = function () {
+    return {
+      version: CURRENT_VERSION,
+      items: {}
+    };
+  };
+
+  ReviewScheduler.prototype.load = function () {
+    try {
+      var raw = window.courseStorage.getItem(this.storageKey);
+      var parsed = raw && this._upgrade(raw, true);
+      if (parsed) return parsed;
+    } catch (e) { /* ignore */ }
+    return this.createDefault();
+  };
+
+  /* Brings an exported schedule up to date without touching storage
+     (used when importing a file); null if invalid. */
+  ReviewScheduler.prototype.upgradeData = function (data) {
+    try {
+      return this._upgrade(JSON.stringify(data), false);
+    } catch (e) {
+      return null;
+    }
+  };
+
+  ReviewScheduler.prototype._upgrade = function (raw, persist) {
+    return window.StorageMigrations.run({
+      storageKey: this.storageKey,
+      raw: raw,
+      currentVersion: CURRENT_VERSION,
+      migrations: [],
+      getVersion: function (data) { return typeof data.version === 'number' ? data.version : 0; },
+      validate: isValidReview,
+      persist: persist
+    });
+  };
+
+  ReviewScheduler.prototype.save = function () {
+    try {
+      window.courseStorage.setItem(this.storageKey, JSON.stringify(this.data));
+    } catch (e) { /* ignore */ }
+  };
+
+  /* ------------------------------------------
+     review(id, quality, confidentMiss)
+     Grades one review (0–5) and reschedules
+     the item, adding it if it is new.
+  ------------------------------------------ */
+  ReviewScheduler.prototype.review = function (id, quality, confidentMiss) {
+    var item = this.data.items[id] || {
+      ease: DEFAULT_EASE,
+      interval: 0,
+      repetitions: 0,
+      lapses: 0,
+      due: null,
+      lastReviewed: null
+    };
+
+    var next = sm2(item, quality, todayString());
+    if (confidentMiss) {
+      next.confidentMiss = true;
+    } else {
+      delete next.confidentMiss;
+    }
+    this.data.items[id] = next;
+    this.save();
+  };
+
+  /* ------------------------------------------
+     recordAnswer(questionId, credit, confidence)
+     Called for every checked quiz or Quick
+     Check answer, with the learner's confidence
+     rating if they gave one ('guess' |
+     'fairly-sure' | 'certain'). A miss
+     (re)schedules the question for tomorrow; a
+     correct answer only counts as a review once
+     the question is due, so answering early
+     doesn't push it further out.
+  ------------------------------------------ */
+  ReviewScheduler.prototype.recordAnswer = function (questionId, credit, confidence) {
+    var quality = qualityForCredit(credit, confidence);
+    var item = this.data.items[questionId];
+
+    if (quality < PASSING_QUALITY || (item && item.due <= todayString())) {
+      this.review(questionId, quality, quality < PASSING_QUALITY && confidence === 'certain');
+    }
+  };
+
+  /* ------------------------------------------
+     getDue(limit)
+     Ids due today or earlier: confident misses
+     first, then most overdue.
+  ------------------------------------------ */
+  ReviewScheduler.prototype.getDue = function (limit) {
+    var items = this.data.items;
+    var today = todayString();
+
+    var due = Object.keys(items).filter(function (id) {
+      return items[id].due <= today;
+    }).sort(function (a, b) {
+      return (items[b].confidentMiss ? 1 : 0) - (items[a].confidentMiss ? 1 : 0) ||
+        (items[a].due < items[b].due ? -1 : items[a].due > items[b].due ? 1 : items[b].lapses - items[a].lapses);
+    });
+
+    return typeof limit === 'number' ? due.slice(0, limit) : due;
+  };
+
+  /* Earliest due date after today, or null */
+  ReviewScheduler.prototype.getNextDue = function () {
+    var items = this.data.items;
+    var today = todayString();
+
+    return Object.keys(items).reduce(function (next, id) {
+      var due = items[id].due;
+      return due > today && (next === null || due < next) ? due : next;
+    }, null);
+  };
+
+  /* Whether the item has been reviewed at least once */
+  ReviewScheduler.prototype.has = function (id) {
+    return !!this.data.items[id];
+  };
+
+  ReviewScheduler.prototype.count = function () {
+    return Object.keys(this.data.items).length;
+  };
+
+  /* Drops an item, e.g. a question removed from quizzes.json */
+  ReviewScheduler.prototype.forget = function (id) {
+    if (!this.data.items[id]) return;
+    delete this.data.items[id];
+    this.save();
+  };
+
+  /* ------------------------------------------
+     IMPORTED DATA (transfer.js)
+     replaceData() swaps in an upgraded import;
+     mergeData() keeps the latest review of each
+     item, as another tab's save does.
+  ------------------------------------------ */
+  ReviewScheduler.prototype.replaceData = function (data) {
+    this.data = data;
+    this.save();
+  };
+
+  ReviewScheduler.prototype.mergeData = function (data) {
+    this._mergeItems(data.items);
+    this.save();
+  };
+
+  ReviewScheduler.prototype._mergeFromOtherTab = function (raw) {
+    var theirs;
+    try {
+      theirs = JSON.parse(raw);
+    } catch (e) {
+      return;
+    }
+    if (!theirs || !isValidReview(theirs)) return;
+
+    var mine = this.data.items;
+    var changed = false;
+
+    this._mergeItems(theirs.items);
+    Object.keys(mine).forEach(function (id) {
+      if (JSON.stringify(mine[id]) !== JSON.stringify(theirs.items[id])) changed = true;
+    });
+
+    // Only write back what the other tab doesn't already have
+    if (changed) this.save();
+  };
+
+  /* Takes each of `items` reviewed more recently than ours (or new to us) */
+  ReviewScheduler.prototype._mergeItems = function (items) {
+    var mine = this.data.items;
+
+    Object.keys(items).forEach(function (id) {
+      var item = items[id];
+      if (!mine[id] || (item.lastReviewed || '') > (mine[id].lastReviewed || '')) {
+        mine[id] = item;
+      }
+    });
+  };
+
+  /* ------------------------------------------
+     DAILY REVIEW PAGE
+     Serves today's due questions through a
+     QuizEngine in review mode.
+  ------------------------------------------ */
+  function initReviewPage(scheduler) {
+    var root = document.getElementById('dailyReview');
+    if (!root) return;
+
+    var summaryEl = root.querySelector('#reviewSummary');
+    var container = root.querySelector('#review-quiz-container');
+    var dueIds = scheduler.getDue(DAILY_LIMIT);
+
+    if (dueIds.length === 0) {
+      showCaughtUp(summaryEl, scheduler);
+      return;
+    }
+
+    fetch(QUIZ_DATA_URL)
+      .then(function (response) {
+        if (!response.ok) throw new Error('Failed to load quiz data: ' + response.status);
+        return response.json();
+      })
+      .then(function (data) {
+        var byId = {};
+        data.modules.forEach(function (module) {
+          // Tagged with their module so feedback can link back to the content
+          (module.questions || []).forEach(function (question) {
+            byId[question.id] = Object.assign({}, question, { moduleId: module.moduleId });
+          });
+          (module.inlineQuizzes || []).forEach(function (inline) {
+            (inline.questions || []).forEach(function (question) { byId[question.id] = question; });
+          });
+        });
+
+        var questions = [];
+        dueIds.forEach(function (id) {
+          if (byId[id]) {
+            questions.push(byId[id]);
+          } else {
+            scheduler.forget(id);
+          }
+        });
+
+        if (questions.length === 0) {
+          showCaughtUp(summaryEl, scheduler);
+          return;
+        }
+
+        var total = scheduler.getDue().length;
+        summaryEl.textContent = questions.length + (questions.length === 1 ? ' question' : ' questions') +
+          ' to review today' + (total > questions.length ? ' (' + (total - questions.length) + ' more tomorrow)' : '') + '.';
+
+        var engine = new window.QuizEngine('review', {
+          mode: 'review',
+          title: 'Daily Review',
+          questions: questions
+        });
+        engine.render(container);
+        container.quizEngine = engine;
+        window.quizEngine = engine;
+      })
+      .catch(function (err) {
+        console.error('[ChildPsych] Could not start the daily review:', err);
+        summaryEl.textContent = 'Could not load today’s review. Please refresh the page.';
+      });
+  }
+
+  function showCaughtUp(summaryEl, scheduler) {
+    var next = scheduler.getNextDue();
+    if (scheduler.count() === 0) {
+      summaryEl.textContent = 'Nothing to review yet. Questions you miss in a quiz or Quick Check will come back here.';
+    } else {
+      summaryEl.textContent = 'You’re all caught up!' +
+        (next ? ' Your next review is on ' + new Date(next + 'T00:00:00').toLocaleDateString() + '.' : '');
+    }
+  }
+
+  /* Due count on the home page's review prompt */
+  function updateReviewPrompt(scheduler) {
+    var countEl = document.getElementById('reviewDueCount');
+    if (!countEl) return;
+
+    var due = scheduler.getDue().length;
+    countEl.textContent = due === 0 ?
+      (scheduler.count() === 0 ? 'Questions you miss will be scheduled here for review.' : 'Nothing due today — nice work!') :
+      due + (due === 1 ? ' question is' : ' questions are') + ' due for review today.';
+  }
+
+  /* ------------------------------------------
+     INIT
+  ------------------------------------------ */
+  var scheduler = new ReviewScheduler(STORAGE_KEY);
+  window.ReviewScheduler = ReviewScheduler;
+  window.reviewScheduler = scheduler;
+
+  function init() {
+    initReviewPage(scheduler);
+    updateReviewPrompt(scheduler);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,795 @@
+/* ========================================
+   CHILD PSYCHOLOGY COURSE — STORAGE.JS
+   Pluggable storage layer used by progress,
+   gamification and migrations. Reads are
+   synchronous from an in-memory cache; writes
+   go through to the active adapter and, when
+   configured, to a remote sync endpoint.
+   Writes from other tabs arrive as
+   'storageChanged' events (source: 'tab').
+
+   Keys are namespaced per learner profile
+   (see profiles.js): the default profile uses
+   the original keys, others are stored as
+   childPsych_profile-<id>/<name>, and the
+   guest profile lives in sessionStorage only.
+
+   Configure before this script loads, e.g.:
+     <script>
+       window.CHILDPSYCH_STORAGE = {
+         backend: 'indexedDB',        // 'localStorage' (default) | 'indexedDB' | 'memory'
+         syncUrl: 'https://example.org/api/childpsych'   // optional
+       };
+     </script>
+   ======================================== */
+
+(function () {
+  'use strict';
+
+  var KEY_PREFIX = 'childPsych_';
+  var META_KEY = 'childPsych_storageMeta';   // { key: updatedAt ISO } for sync
+  var SYNC_DELAY = 2000;                      // ms to batch writes before pushing
+  var CHANNEL_NAME = 'childPsych_storage';    // BroadcastChannel for non-localStorage backends
+  var PROFILES_KEY = 'childPsych_profiles';   // device-wide profile list, never namespaced
+  var PROFILE_KEY_PREFIX = KEY_PREFIX + 'profile-';
+  var DEFAULT_PROFILE = 'default';
+  var GUEST_PROFILE = 'guest';
+
+  /* ========================================
+     ADAPTERS
+     Every adapter implements:
+       getItem(key)        -> Promise<string|null>
+       setItem(key, value) -> Promise
+       removeItem(key)     -> Promise
+       getAll()            -> Promise<{ key: value }> (course keys only)
+     Synchronous adapters also set isSync and
+     implement getItemSync(key).
+     ======================================== */
+
+  /* ------------------------------------------
+     LOCAL STORAGE ADAPTER
+     Also wraps sessionStorage (guest profile)
+     when given it as the storage area.
+  ------------------------------------------ */
+  function LocalStorageAdapter(area) {
+    this.area = area || window.localStorage;
+    this.name = this.area === window.localStorage ? 'localStorage' : 'sessionStorage';
+    this.isSync = true;
+  }
+
+  LocalStorageAdapter.isAvailable = function () {
+    try {
+      var probe = KEY_PREFIX + 'probe';
+      window.localStorage.setItem(probe, '1');
+      window.localStorage.removeItem(probe);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  };
+
+  LocalStorageAdapter.prototype.getItemSync = function (key) {
+    return this.area.getItem(key);
+  };
+
+  LocalStorageAdapter.prototype.getItem = function (key) {
+    var self = this;
+    return new Promise(function (resolve) { resolve(self.getItemSync(key)); });
+  };
+
+  LocalStorageAdapter.prototype.setItem = function (key, value) {
+    var area = this.area;
+    // Throws (e.g. QuotaExceededError) inside the promise so callers can fall back
+    return new Promise(function (resolve) {
+      area.setItem(key, value);
+      resolve();
+    });
+  };
+
+  LocalStorageAdapter.prototype.removeItem = function (key) {
+    var area = this.area;
+    return new Promise(function (resolve) {
+      area.removeItem(key);
+      resolve();
+    });
+  };
+
+  LocalStorageAdapter.prototype.getAll = function () {
+    var area = this.area;
+    return new Promise(function (resolve) {
+      var all = {};
+      for (var i = 0; i < area.length; i++) {
+        var key = area.key(i);
+        if (key && key.indexOf(KEY_PREFIX) === 0) all[key] = area.getItem(key);
+      }
+      resolve(all);
+    });
+  };
+
+  /* ------------------------------------------
+     MEMORY ADAPTER
+     Fallback when nothing persistent works
+     (private mode, quota exhausted). Data lasts
+     for the page view only.
+  ------------------------------------------ */
+  function MemoryAdapter(initial) {
+    this.name = 'memory';
+    this.isSync = true;
+    this.items = Object.assign({}, initial || {});
+  }
+
+  MemoryAdapter.prototype.getItemSync = function (key) {
+    return this.items.hasOwnProperty(key) ? this.items[key] : null;
+  };
+
+  MemoryAdapter.prototype.getItem = function (key) {
+    return Promise.resolve(this.getItemSync(key));
+  };
+
+  MemoryAdapter.prototype.setItem = function (key, value) {
+    this.items[key] = String(value);
+    return Promise.resolve();
+  };
+
+  MemoryAdapter.prototype.removeItem = function (key) {
+    delete this.items[key];
+    return Promise.resolve();
+  };
+
+  MemoryAdapter.prototype.getAll = function () {
+    return Promise.resolve(Object.assign({}, this.items));
+  };
+
+  /* ------------------------------------------
+     INDEXEDDB ADAPTER
+     One object store of key -> string, so large
+     blobs (attempt histories, notes) aren't
+     bound by the ~5 MB localStorage quota.
+  ------------------------------------------ */
+  function IndexedDBAdapter(dbName, storeName) {
+    this.name = 'indexedDB';
+    this.isSync = false;
+    this.dbName = dbName || 'childPsych';
+    this.storeName = storeName || 'keyval';
+    this.dbPromise = null;
+  }
+
+  IndexedDBAdapter.isAvailable = function () {
+    return typeof window.indexedDB !== 'undefined';
+  };
+
+  IndexedDBAdapter.prototype._open = function () {
+    var self = this;
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise(function (resolve, reject) {
+      var request = window.indexedDB.open(self.dbName, 1);
+      request.onupgradeneeded = function () {
+        request.result.createObjectStore(self.storeName);
+      };
+      request.onsuccess = function () { resolve(request.result); };
+      request.onerror = function () { reject(request.error); };
+    });
+    return this.dbPromise;
+  };
+
+  /* Runs fn(store) in a transaction; resolves with the request's result */
+  IndexedDBAdapter.prototype._request = function (mode, fn) {
+    var self = this;
+    return this._open().then(function (db) {
+      return new Promise(function (resolve, reject) {
+        var tx = db.transaction(self.storeName, mode);
+        var request = fn(tx.objectStore(self.storeName));
+        tx.oncomplete = function () { resolve(request.result); };
+        tx.onerror = function () { reject(tx.error); };
+        tx.onabort = function () { reject(tx.error); };
+      });
+    });
+  };
+
+  IndexedDBAdapter.prototype.getItem = function (key) {
+    return this._request('readonly', function (store) { return store.get(key); })
+      .then(function (value) { return value === undefined ? null : value; });
+  };
+
+  IndexedDBAdapter.prototype.setItem = function (key, value) {
+    return this._request('readwrite', function (store) { return store.put(String(value), key); });
+  };
+
+  IndexedDBAdapter.prototype.removeItem = function (key) {
+    return this._request('readwrite', function (store) { return store.delete(key); });
+  };
+
+  /* Walks the store with one cursor, so keys and values are read in a
+     single transaction and can't be paired up wrongly */
+  IndexedDBAdapter.prototype.getAll = function () {
+    var self = this;
+    return this._open().then(function (db) {
+      return new Promise(function (resolve, reject) {
+        var all = {};
+        var tx = db.transaction(self.storeName, 'readonly');
+        var request = tx.objectStore(self.storeName).openCursor();
+        request.onsuccess = function () {
+          var cursor = request.result;
+          if (!cursor) return;
+          if (String(cursor.key).indexOf(KEY_PREFIX) === 0) all[cursor.key] = cursor.value;
+          cursor.continue();
+        };
+        tx.oncomplete = function () { resolve(all); };
+        tx.onerror = function () { reject(tx.error); };
+        tx.onabort = function () { reject(tx.error); };
+      });
+    }).catch(function (err) {
+      self.dbPromise = null;
+      throw err;
+    });
+  };
+
+  /* ------------------------------------------
+     HTTP SYNC ADAPTER
+     Mirrors course keys to a self-hosted REST
+     endpoint. Contract (JSON bodies):
+       GET    {url}/{key} -> 200 { value, updatedAt } | 404
+       PUT    {url}/{key}    body { value, updatedAt }
+       DELETE {url}/{key}
+     `value` is the same JSON string stored
+     locally; `updatedAt` is an ISO timestamp
+     used for last-write-wins.
+  ------------------------------------------ */
+  function HttpSyncAdapter(options) {
+    this.name = 'http';
+    this.isSync = false;
+    this.url = String(options.url).replace(/\/$/, '');
+    this.headers = Object.assign({ 'Content-Type': 'application/json' }, options.headers || {});
+  }
+
+  HttpSyncAdapter.prototype._keyUrl = function (key) {
+    return this.url + '/' + encodeURIComponent(key);
+  };
+
+  /* Resolves with { value, updatedAt } or null when the server has nothing */
+  HttpSyncAdapter.prototype.getRecord = function (key) {
+    return fetch(this._keyUrl(key), { headers: this.headers })
+      .then(function (response) {
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error('Sync GET failed: ' + response.status);
+        return response.json();
+      });
+  };
+
+  HttpSyncAdapter.prototype.getItem = function (key) {
+    return this.getRecord(key).then(function (record) { return record ? record.value : null; });
+  };
+
+  HttpSyncAdapter.prototype.setItem = function (key, value, updatedAt) {
+    return fetch(this._keyUrl(key), {
+      method: 'PUT',
+      headers: this.headers,
+      body: JSON.stringify({ value: value, updatedAt: updatedAt || new Date().toISOString() })
+    }).then(function (response) {
+      if (!response.ok) throw new Error('Sync PUT failed: ' + response.status);
+    });
+  };
+
+  HttpSyncAdapter.prototype.removeItem = function (key) {
+    return fetch(this._keyUrl(key), { method: 'DELETE', headers: this.headers })
+      .then(function (response) {
+        if (!response.ok && response.status !== 404) throw new Error('Sync DELETE failed: ' + response.status);
+      });
+  };
+
+  HttpSyncAdapter.prototype.getAll = function () {
+    return Promise.reject(new Error('HttpSyncAdapter syncs individual keys only.'));
+  };
+
+  /* ========================================
+     COURSE STORAGE
+     The object the managers talk to.
+     ======================================== */
+
+  /**
+   * @param {Object} backend — primary adapter
+   */
+  function CourseStorage(backend) {
+    this.backend = backend;
+    this.cache = {};
+    this.pendingWrites = {};   // writes made before an async backend loaded
+    this.isReady = false;
+    this.callbacks = [];
+    this.syncAdapter = null;
+    this.syncKeys = [];
+    this.syncTimer = null;
+    this.dirtyKeys = {};
+    this.channel = null;
+    this.profileId = DEFAULT_PROFILE;
+    this.transient = null;     // adapter for a profile that mustn't persist (guest)
+  }
+
+  /* ------------------------------------------
+     init()
+     Sync backends are ready immediately. Async
+     backends load every course key into the
+     cache first; data still sitting in
+     localStorage from before the switch is
+     carried over once.
+  ------------------------------------------ */
+  CourseStorage.prototype.init = function () {
+    var self = this;
+
+    this._listenToOtherTabs();
+
+    if (this.backend.isSync) {
+      this._finishInit([]);
+      return;
+    }
+
+    this.backend.getAll()
+      .then(function (stored) {
+        var legacy = LocalStorageAdapter.isAvailable() ? new LocalStorageAdapter().getAll() : Promise.resolve({});
+        return legacy.then(function (old) {
+          Object.keys(old).forEach(function (key) {
+            if (!stored.hasOwnProperty(key)) {
+              stored[key] = old[key];
+              self._write(key, old[key]);
+            }
+          });
+          return stored;
+        });
+      })
+      .then(function (stored) {
+        var changed = [];
+        Object.keys(stored).forEach(function (key) {
+          // Stored data wins over defaults written while loading
+          delete self.pendingWrites[key];
+          self.cache[key] = stored[key];
+          changed.push(key);
+        });
+        Object.keys(self.pendingWrites).forEach(function (key) {
+          self._write(key, self.pendingWrites[key]);
+        });
+        self.pendingWrites = {};
+        self._finishInit(changed);
+      })
+      .catch(function (err) {
+        self._fallBack(err);
+        self._finishInit([]);
+      });
+  };
+
+  /* ------------------------------------------
+     getItem(key) — synchronous, from cache
+     Keys are the course's own names (e.g.
+     'childPsych_progress'); the active
+     profile's namespace is applied here.
+  ------------------------------------------ */
+  CourseStorage.prototype.getItem = function (key) {
+    return this._read(this.keyFor(key));
+  };
+
+  /* ------------------------------------------
+     setItem(key, value)
+     Updates the cache at once and persists in
+     the background. Returns the write promise.
+  ------------------------------------------ */
+  CourseStorage.prototype.setItem = function (key, value) {
+    var storedKey = this.keyFor(key);
+    value = String(value);
+    this.cache[storedKey] = value;
+
+    if (this.syncAdapter && key !== META_KEY) this._touch(storedKey);
+    if (this.syncAdapter && !this.transient && this.syncKeys.indexOf(key) !== -1) this._markDirty(storedKey);
+
+    if (!this.isReady && !this.backend.isSync && !this.transient) {
+      this.pendingWrites[storedKey] = value;
+      return Promise.resolve();
+    }
+    return this._write(storedKey, value);
+  };
+
+  /* ------------------------------------------
+     removeItem(key)
+  ------------------------------------------ */
+  CourseStorage.prototype.removeItem = function (key) {
+    var storedKey = this.keyFor(key);
+    this.cache[storedKey] = null;
+    delete this.pendingWrites[storedKey];
+    return (this.transient || this.backend).removeItem(storedKey).catch(function (err) {
+      console.warn('[ChildPsych] Could not remove ' + storedKey + ':', err && err.message);
+    });
+  };
+
+  /* ------------------------------------------
+     useProfile(profileId)
+     Switches the key namespace. Called once at
+     startup (before the managers load) with the
+     device's active profile; switching profiles
+     later reloads the page (see profiles.js).
+  ------------------------------------------ */
+  CourseStorage.prototype.useProfile = function (profileId) {
+    this.profileId = profileId || DEFAULT_PROFILE;
+    this.transient = null;
+
+    if (this.profileId === GUEST_PROFILE) {
+      this.transient = createTransientAdapter();
+    }
+  };
+
+  /* ------------------------------------------
+     keyFor(key, profileId)
+     The key as stored for a profile (default:
+     the active one).
+  ------------------------------------------ */
+  CourseStorage.prototype.keyFor = function (key, profileId) {
+    profileId = profileId || this.profileId;
+    if (profileId === DEFAULT_PROFILE || key === PROFILES_KEY || key.indexOf(KEY_PREFIX) !== 0) return key;
+    return PROFILE_KEY_PREFIX + profileId + '/' + key.slice(KEY_PREFIX.length);
+  };
+
+  /* ------------------------------------------
+     removeProfile(profileId)
+     Deletes every key stored for a profile.
+     Remote copies (sync) are left alone.
+  ------------------------------------------ */
+  CourseStorage.prototype.removeProfile = function (profileId) {
+    var self = this;
+    var adapter = profileId === GUEST_PROFILE ? (this.transient || createTransientAdapter()) : this.backend;
+
+    return adapter.getAll().then(function (stored) {
+      var keys = Object.keys(stored).concat(Object.keys(self.cache)).filter(function (storedKey) {
+        return self._courseKey(storedKey, profileId) !== null;
+      });
+      return Promise.all(keys.map(function (storedKey) {
+        delete self.cache[storedKey];
+        delete self.pendingWrites[storedKey];
+        return adapter.removeItem(storedKey);
+      }));
+    });
+  };
+
+  /* ------------------------------------------
+     getProfiles() / saveProfiles(registry)
+     The device's profile list (see profiles.js).
+     Kept in localStorage whatever the backend,
+     since it has to be read before anything
+     else loads.
+  ------------------------------------------ */
+  CourseStorage.prototype.getProfiles = function () {
+    return readProfiles();
+  };
+
+  CourseStorage.prototype.saveProfiles = function (registry) {
+    try {
+      window.localStorage.setItem(PROFILES_KEY, JSON.stringify(registry));
+      return true;
+    } catch (e) {
+      console.warn('[ChildPsych] Could not save learner profiles:', e.message);
+      return false;
+    }
+  };
+
+  /* ------------------------------------------
+     ready(callback)
+     Runs once the backend's data is in the
+     cache (immediately for sync backends).
+  ------------------------------------------ */
+  CourseStorage.prototype.ready = function (callback) {
+    if (this.isReady) {
+      callback(this);
+    } else {
+      this.callbacks.push(callback);
+    }
+  };
+
+  /* ------------------------------------------
+     enableSync(adapter, keys)
+     Pulls newer copies of `keys` from the
+     remote, pushes newer local ones, then
+     pushes every later write (batched).
+  ------------------------------------------ */
+  CourseStorage.prototype.enableSync = function (adapter, keys) {
+    var self = this;
+    this.syncAdapter = adapter;
+    this.syncKeys = keys;
+
+    this.ready(function () {
+      self.pull();
+    });
+  };
+
+  /* ------------------------------------------
+     pull()
+     Last-write-wins reconciliation of the sync
+     keys against the remote endpoint.
+  ------------------------------------------ */
+  CourseStorage.prototype.pull = function () {
+    var self = this;
+    if (!this.syncAdapter || this.transient) return Promise.resolve();
+
+    var meta = this._getMeta();
+    return Promise.all(this.syncKeys.map(function (key) {
+      var storedKey = self.keyFor(key);
+      return self.syncAdapter.getRecord(storedKey).then(function (record) {
+        var localValue = self.getItem(key);
+        var localTime = meta[storedKey] || '';
+
+        if (record && record.value !== null && (!localValue || (record.updatedAt || '') > localTime)) {
+          self.cache[storedKey] = record.value;
+          self._write(storedKey, record.value);
+          meta[storedKey] = record.updatedAt || new Date().toISOString();
+          return key;
+        }
+        if (localValue && (!record || localTime > (record.updatedAt || ''))) {
+          self._markDirty(storedKey);
+        }
+        return null;
+      });
+    })).then(function (results) {
+      var changed = results.filter(Boolean);
+      if (changed.length > 0) {
+        self._saveMeta(meta);
+        self._dispatch('storageChanged', { keys: changed, source: 'remote' });
+      }
+    }).catch(function (err) {
+      console.warn('[ChildPsych] Could not sync progress:', err.message);
+    });
+  };
+
+  /* ------------------------------------------
+     _write(key, value)
+     Internal: persists to the backend; on
+     failure (quota, private mode) switches to
+     the memory adapter so the session keeps
+     working, and fires 'storageError'. The
+     guest's session storage falls back the
+     same way.
+  ------------------------------------------ */
+  CourseStorage.prototype._write = function (key, value) {
+    var self = this;
+
+    if (this.transient && this._courseKey(key) !== null) {
+      var transient = this.transient;
+      return transient.setItem(key, value).catch(function (err) {
+        if (self.transient !== transient) return;   // already fell back
+        self._fallBack(err, true);
+        return self.transient.setItem(key, value);
+      });
+    }
+
+    var backend = this.backend;
+
+    return backend.setItem(key, value).then(function () {
+      if (self.channel) self.channel.postMessage({ key: key, value: value });
+    }).catch(function (err) {
+      if (self.backend !== backend) return;   // already fell back
+      self._fallBack(err);
+      return self.backend.setItem(key, value);
+    });
+  };
+
+  /* ------------------------------------------
+     _listenToOtherTabs()
+     Internal: localStorage fires 'storage' in
+     every other tab on write; other backends
+     announce writes over a BroadcastChannel.
+     Either way the cache is updated and
+     'storageChanged' fires with source 'tab'
+     so managers can merge.
+  ------------------------------------------ */
+  CourseStorage.prototype._listenToOtherTabs = function () {
+    var self = this;
+
+    if (this.backend.name === 'localStorage') {
+      window.addEventListener('storage', function (e) {
+        if (e.storageArea !== window.localStorage || !e.key || e.key.indexOf(KEY_PREFIX) !== 0) return;
+        self._receive(e.key, e.newValue);
+      });
+    } else if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = function (e) {
+        if (e.data && e.data.key) self._receive(e.data.key, e.data.value);
+      };
+    }
+  };
+
+  CourseStorage.prototype._receive = function (storedKey, value) {
+    this.cache[storedKey] = value;
+
+    var key = this.transient ? null : this._courseKey(storedKey);
+    if (key === null || key === META_KEY || value === null) return;
+    this._dispatch('storageChanged', { keys: [key], source: 'tab' });
+  };
+
+  /* ------------------------------------------
+     _read(storedKey)
+     Internal: cache, then the synchronous
+     backend (or the guest's session storage).
+  ------------------------------------------ */
+  CourseStorage.prototype._read = function (storedKey) {
+    if (this.cache.hasOwnProperty(storedKey)) return this.cache[storedKey];
+
+    var source = this.transient && this._courseKey(storedKey) !== null ? this.transient : this.backend;
+    if (source.isSync) {
+      var value = null;
+      try {
+        value = source.getItemSync(storedKey);
+      } catch (e) { /* treat as missing */ }
+      this.cache[storedKey] = value;
+      return value;
+    }
+    return null;
+  };
+
+  /* ------------------------------------------
+     _courseKey(storedKey, profileId)
+     Internal: reverse of keyFor() — the course
+     key if storedKey belongs to the profile
+     (default: the active one), else null.
+  ------------------------------------------ */
+  CourseStorage.prototype._courseKey = function (storedKey, profileId) {
+    profileId = profileId || this.profileId;
+    if (storedKey === PROFILES_KEY || storedKey.indexOf(KEY_PREFIX) !== 0) return null;
+
+    if (profileId === DEFAULT_PROFILE) {
+      return storedKey.indexOf(PROFILE_KEY_PREFIX) === 0 ? null : storedKey;
+    }
+
+    var prefix = PROFILE_KEY_PREFIX + profileId + '/';
+    return storedKey.indexOf(prefix) === 0 ? KEY_PREFIX + storedKey.slice(prefix.length) : null;
+  };
+
+  CourseStorage.prototype._fallBack = function (err, isTransient) {
+    var failed = (isTransient ? this.transient : this.backend).name;
+    console.warn('[ChildPsych] Could not save to ' + failed + ' — progress will only last for this visit.',
+      err && err.message);
+
+    if (isTransient) this.transient = new MemoryAdapter(this.cache);
+    else this.backend = new MemoryAdapter(this.cache);
+    this._dispatch('storageError', { backend: failed, error: err });
+  };
+
+  CourseStorage.prototype._finishInit = function (changedKeys) {
+    var self = this;
+    this.isReady = true;
+
+    var callbacks = this.callbacks;
+    this.callbacks = [];
+    callbacks.forEach(function (callback) { callback(self); });
+
+    var keys = changedKeys.map(function (storedKey) {
+      return self._courseKey(storedKey);
+    }).filter(function (key) {
+      return key !== null;
+    });
+    if (keys.length > 0 && !this.transient) {
+      this._dispatch('storageChanged', { keys: keys, source: 'backend' });
+    }
+  };
+
+  /* Records when a key last changed locally (for last-write-wins);
+     only stamped while a sync adapter is configured */
+  CourseStorage.prototype._touch = function (key) {
+    var meta = this._getMeta();
+    meta[key] = new Date().toISOString();
+    this._saveMeta(meta);
+  };
+
+  CourseStorage.prototype._getMeta = function () {
+    try {
+      return JSON.parse(this.getItem(META_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  };
+
+  CourseStorage.prototype._saveMeta = function (meta) {
+    this.setItem(META_KEY, JSON.stringify(meta));
+  };
+
+  /* Queues a key to be pushed to the remote */
+  CourseStorage.prototype._markDirty = function (key) {
+    var self = this;
+    this.dirtyKeys[key] = true;
+
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(function () {
+      self._push();
+    }, SYNC_DELAY);
+  };
+
+  CourseStorage.prototype._push = function () {
+    var self = this;
+    var meta = this._getMeta();
+    var keys = Object.keys(this.dirtyKeys);
+    this.dirtyKeys = {};
+
+    keys.forEach(function (key) {
+      var value = self._read(key);
+      if (value === null) return;
+      self.syncAdapter.setItem(key, value, meta[key]).catch(function (err) {
+        console.warn('[ChildPsych] Could not sync ' + key + ':', err.message);
+        self.dirtyKeys[key] = true;   // retried with the next write
+      });
+    });
+  };
+
+  CourseStorage.prototype._dispatch = function (name, detail) {
+    var event;
+    try {
+      event = new CustomEvent(name, { detail: detail });
+    } catch (e) {
+      // Fallback for older browsers
+      event = document.createEvent('CustomEvent');
+      event.initCustomEvent(name, true, true, detail);
+    }
+    document.dispatchEvent(event);
+  };
+
+  /* ========================================
+     INITIALIZATION
+     Picks the configured backend (falling back
+     to localStorage, then memory) and exposes
+     window.courseStorage.
+     ======================================== */
+  function createBackend(config) {
+    if (config.backend === 'memory') return new MemoryAdapter();
+
+    if (config.backend === 'indexedDB') {
+      if (IndexedDBAdapter.isAvailable()) return new IndexedDBAdapter();
+      console.warn('[ChildPsych] IndexedDB is not available; using localStorage.');
+    }
+
+    if (LocalStorageAdapter.isAvailable()) return new LocalStorageAdapter();
+
+    console.warn('[ChildPsych] localStorage is not available; progress will only last for this visit.');
+    return new MemoryAdapter();
+  }
+
+  /* Guest data lasts for the browser tab, never on the device */
+  function createTransientAdapter() {
+    try {
+      var probe = KEY_PREFIX + 'probe';
+      window.sessionStorage.setItem(probe, '1');
+      window.sessionStorage.removeItem(probe);
+      return new LocalStorageAdapter(window.sessionStorage);
+    } catch (e) {
+      return new MemoryAdapter();
+    }
+  }
+
+  /* { activeId, profiles: [...] }, or null before any profile was made */
+  function readProfiles() {
+    try {
+      var registry = JSON.parse(window.localStorage.getItem(PROFILES_KEY));
+      return registry && Array.isArray(registry.profiles) ? registry : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  var config = window.CHILDPSYCH_STORAGE || {};
+  var profiles = readProfiles();
+
+  window.courseStorage = new CourseStorage(createBackend(config));
+  window.courseStorage.useProfile(profiles && profiles.activeId);
+  window.courseStorage.init();
+
+  if (config.syncUrl) {
+    window.courseStorage.enableSync(
+      new HttpSyncAdapter({ url: config.syncUrl, headers: config.syncHeaders }),
+      config.syncKeys || ['childPsych_progress', 'childPsych_gamification']
+    );
+  }
+
+  // Expose adapters for custom setups and testing
+  window.CourseStorage = CourseStorage;
+  CourseStorage.PROFILES_KEY = PROFILES_KEY;
+  CourseStorage.DEFAULT_PROFILE = DEFAULT_PROFILE;
+  CourseStorage.GUEST_PROFILE = GUEST_PROFILE;
+  window.StorageAdapters = {
+    LocalStorageAdapter: LocalStorageAdapter,
+    MemoryAdapter: MemoryAdapter,
+    IndexedDBAdapter: IndexedDBAdapter,
+    HttpSyncAdapter: HttpSyncAdapter
+  };
+
+})();
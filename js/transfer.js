@@ -0,0 +1,336 @@
+/* ========================================
+   CHILD PSYCHOLOGY COURSE — TRANSFER.JS
+   Export / import of all learner data as a
+   portable JSON file (progress, quiz attempts,
+   XP, badges, streaks, review and flashcard
+   schedules). Wired to the #progressTransfer
+   panel on index.html.
+   ======================================== */
+
+(function () {
+  'use strict';
+
+  var FILE_FORMAT = 'childpsych-progress';
+  var FORMAT_VERSION = 1;
+
+  /* ------------------------------------------
+     CHECKSUM
+     SHA-256 (Web Crypto) over a canonical,
+     key-sorted JSON of the payload, with an
+     FNV-1a fallback where Web Crypto isn't
+     available (e.g. pages opened from file://).
+     This catches corrupted or hand-edited
+     files; it is not a security signature.
+  ------------------------------------------ */
+  function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+      return '[' + value.map(canonicalJSON).join(',') + ']';
+    }
+    if (value && typeof value === 'object') {
+      return '{' + Object.keys(value).sort().filter(function (key) {
+        return value[key] !== undefined;
+      }).map(function (key) {
+        return JSON.stringify(key) + ':' + canonicalJSON(value[key]);
+      }).join(',') + '}';
+    }
+    return JSON.stringify(value);
+  }
+
+  function computeChecksum(payload, algorithm) {
+    var text = canonicalJSON(payload);
+
+    if (algorithm === 'FNV-1a') {
+      return Promise.resolve({ algorithm: 'FNV-1a', value: window.courseUtils.fnv1a(text) });
+    }
+
+    return window.courseUtils.sha256Hex(text).then(function (hex) {
+      return { algorithm: 'SHA-256', value: hex };
+    });
+  }
+
+  /* ------------------------------------------
+     EXPORT
+     The learner's profile name and id travel
+     with the file (outside the checksummed
+     payload) so an instructor can tell exports
+     apart — names alone repeat across devices.
+  ------------------------------------------ */
+  function learnerName() {
+    return window.learnerProfiles ? window.learnerProfiles.getActive().name : null;
+  }
+
+  function learnerId() {
+    return window.learnerProfiles ? window.learnerProfiles.getLearnerId() : null;
+  }
+
+  function buildExport() {
+    var payload = {
+      progress: window.progressManager ? window.progressManager.data : null,
+      gamification: window.gamification ? window.gamification.data : null,
+      review: window.reviewScheduler ? window.reviewScheduler.data : null,
+      flashcards: window.flashcardScheduler ? window.flashcardScheduler.data : null
+    };
+
+    return computeChecksum(payload, window.courseUtils.hasWebCrypto() ? 'SHA-256' : 'FNV-1a')
+      .then(function (checksum) {
+        return {
+          format: FILE_FORMAT,
+          formatVersion: FORMAT_VERSION,
+          exportedAt: new Date().toISOString(),
+          learner: { id: learnerId(), name: learnerName() },
+          payload: payload,
+          checksum: checksum
+        };
+      });
+  }
+
+  function downloadExport() {
+    return buildExport().then(function (bundle) {
+      var blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+      var url = URL.createObjectURL(blob);
+      var link = document.createElement('a');
+      link.href = url;
+      var slug = (bundle.learner.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      link.download = 'growing-minds-progress-' + (slug ? slug + '-' : '') + bundle.exportedAt.split('T')[0] + '.json';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+      return bundle;
+    });
+  }
+
+  /* ------------------------------------------
+     IMPORT
+     Resolves with { exportedAt, learnerId,
+     learnerName, progress, gamification,
+     review, flashcards } — each upgraded to
+     the current schema, or null if the file
+     has none — or rejects with a learner-facing
+     message.
+  ------------------------------------------ */
+  function readImport(text) {
+    var bundle;
+    try {
+      bundle = JSON.parse(text);
+    } catch (e) {
+      return Promise.reject(new Error('This file isn’t a progress export (it isn’t valid JSON).'));
+    }
+
+    if (!bundle || bundle.format !== FILE_FORMAT || !bundle.payload || !bundle.checksum) {
+      return Promise.reject(new Error('This file isn’t a Growing Minds progress export.'));
+    }
+    if (bundle.formatVersion > FORMAT_VERSION) {
+      return Promise.reject(new Error('This file was made by a newer version of the course. Please update and try again.'));
+    }
+    if (bundle.checksum.algorithm !== 'FNV-1a' && !window.courseUtils.hasWebCrypto()) {
+      return Promise.reject(new Error('This browser can’t verify the file here. Open the course over https to import it.'));
+    }
+
+    return computeChecksum(bundle.payload, bundle.checksum.algorithm).then(function (checksum) {
+      if (checksum.value !== bundle.checksum.value) {
+        throw new Error('This file has been changed or damaged since it was exported, so it can’t be imported.');
+      }
+
+      var progress = bundle.payload.progress && window.progressManager ?
+        window.progressManager.upgradeData(bundle.payload.progress) : null;
+      var gamification = bundle.payload.gamification && window.gamification ?
+        window.gamification.upgradeData(bundle.payload.gamification) : null;
+
+      var review = bundle.payload.review && window.reviewScheduler ?
+        window.reviewScheduler.upgradeData(bundle.payload.review) : null;
+      var flashcards = bundle.payload.flashcards && window.flashcardScheduler ?
+        window.flashcardScheduler.upgradeData(bundle.payload.flashcards) : null;
+
+      if (!progress && !gamification) {
+        throw new Error('This file doesn’t contain any progress we can read.');
+      }
+
+      return {
+        exportedAt: bundle.exportedAt,
+        learnerId: (bundle.learner && bundle.learner.id) || null,
+        learnerName: (bundle.learner && bundle.learner.name) || null,
+        progress: progress,
+        gamification: gamification,
+        review: review,
+        flashcards: flashcards
+      };
+    });
+  }
+
+  function applyImport(imported, mode) {
+    if (imported.progress && window.progressManager) {
+      if (mode === 'replace') {
+        window.progressManager.replaceData(imported.progress);
+      } else {
+        window.progressManager.mergeData(imported.progress);
+      }
+    }
+
+    if (imported.gamification && window.gamification) {
+      if (mode === 'replace') {
+        window.gamification.replaceData(imported.gamification);
+      } else {
+        window.gamification.mergeData(imported.gamification);
+      }
+    }
+
+    // Review schedules merge item by item, keeping each item's latest review
+    if (imported.review && window.reviewScheduler) {
+      if (mode === 'replace') {
+        window.reviewScheduler.replaceData(imported.review);
+      } else {
+        window.reviewScheduler.mergeData(imported.review);
+      }
+    }
+
+    if (imported.flashcards && window.flashcardScheduler) {
+      if (mode === 'replace') {
+        window.flashcardScheduler.replaceData(imported.flashcards);
+      } else {
+        window.flashcardScheduler.mergeData(imported.flashcards);
+      }
+    }
+  }
+
+  /* ------------------------------------------
+     SUMMARY
+     Headline numbers for the import preview.
+  ------------------------------------------ */
+  function summarize(progress, gamification) {
+    var summary = { modulesCompleted: 0, sectionsRead: 0, quizAttempts: 0, xp: 0, badges: 0, longestStreak: 0 };
+
+    if (progress) {
+      Object.keys(progress.modules).forEach(function (moduleId) {
+        var module = progress.modules[moduleId];
+        if (module.status === 'completed') summary.modulesCompleted++;
+        summary.sectionsRead += module.sectionsCompleted.length;
+        summary.quizAttempts += module.quizAttempts || 0;
+      });
+    }
+
+    if (gamification) {
+      summary.xp = gamification.xp;
+      summary.badges = Object.keys(gamification.badges).length;
+      summary.longestStreak = gamification.streak.longest || 0;
+    }
+
+    return summary;
+  }
+
+  /* ------------------------------------------
+     UI
+  ------------------------------------------ */
+  function initTransferPanel() {
+    var panel = document.getElementById('progressTransfer');
+    if (!panel) return;
+
+    var exportBtn = panel.querySelector('#progressExportBtn');
+    var fileInput = panel.querySelector('#progressImportFile');
+    var statusEl = panel.querySelector('#progressTransferStatus');
+    var previewEl = panel.querySelector('#progressTransferPreview');
+
+    function setStatus(message, isError) {
+      statusEl.textContent = message;
+      statusEl.classList.toggle('is-error', !!isError);
+    }
+
+    exportBtn.addEventListener('click', function () {
+      downloadExport()
+        .then(function () {
+          setStatus('Progress exported. Keep the file somewhere safe, or import it on another device.');
+        })
+        .catch(function () {
+          setStatus('Sorry, the export failed. Please try again.', true);
+        });
+    });
+
+    fileInput.addEventListener('change', function () {
+      var file = fileInput.files && fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+
+      previewEl.hidden = true;
+      setStatus('Checking ' + file.name + '…');
+
+      file.text()
+        .then(readImport)
+        .then(function (imported) {
+          setStatus('');
+          renderPreview(previewEl, imported, setStatus);
+        })
+        .catch(function (err) {
+          setStatus(err.message, true);
+        });
+    });
+  }
+
+  function renderPreview(previewEl, imported, setStatus) {
+    var current = summarize(
+      window.progressManager ? window.progressManager.data : null,
+      window.gamification ? window.gamification.data : null
+    );
+    var incoming = summarize(imported.progress, imported.gamification);
+    var rows = [
+      ['Modules completed', 'modulesCompleted'],
+      ['Sections read', 'sectionsRead'],
+      ['Quiz attempts', 'quizAttempts'],
+      ['XP', 'xp'],
+      ['Badges', 'badges'],
+      ['Longest streak (days)', 'longestStreak']
+    ];
+
+    var exported = imported.exportedAt ? new Date(imported.exportedAt) : null;
+    var html = '<p class="progress-transfer-title">File exported ' +
+               (exported && !isNaN(exported) ? exported.toLocaleDateString() : 'on an unknown date') + '</p>';
+    html += '<table class="progress-transfer-table">';
+    html += '<thead><tr><th scope="col"></th><th scope="col">This browser</th><th scope="col">File</th></tr></thead><tbody>';
+    rows.forEach(function (row) {
+      html += '<tr><th scope="row">' + row[0] + '</th><td>' + current[row[1]] + '</td><td>' + incoming[row[1]] + '</td></tr>';
+    });
+    html += '</tbody></table>';
+    html += '<p class="progress-transfer-note"><strong>Merge</strong> keeps everything from both. ' +
+            '<strong>Replace</strong> discards this browser’s progress and uses the file’s.</p>';
+    html += '<div class="progress-transfer-actions">';
+    html += '<button type="button" class="btn btn-primary btn-sm" data-import-mode="merge">Merge</button>';
+    html += '<button type="button" class="btn btn-secondary btn-sm" data-import-mode="replace">Replace</button>';
+    html += '<button type="button" class="btn btn-secondary btn-sm" data-import-mode="cancel">Cancel</button>';
+    html += '</div>';
+
+    previewEl.innerHTML = html;
+    previewEl.hidden = false;
+    previewEl.querySelector('[data-import-mode="merge"]').focus();
+
+    previewEl.querySelectorAll('[data-import-mode]').forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        var mode = btn.getAttribute('data-import-mode');
+        previewEl.hidden = true;
+        previewEl.innerHTML = '';
+
+        if (mode === 'cancel') {
+          setStatus('Import cancelled. Nothing was changed.');
+          return;
+        }
+
+        applyImport(imported, mode);
+        setStatus(mode === 'replace' ? 'Progress replaced with the imported file.' : 'Imported progress merged with this browser’s.');
+      });
+    });
+  }
+
+  /* ------------------------------------------
+     INIT
+  ------------------------------------------ */
+  window.progressTransfer = {
+    buildExport: buildExport,
+    downloadExport: downloadExport,
+    readImport: readImport,
+    applyImport: applyImport
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initTransferPanel);
+  } else {
+    initTransferPanel();
+  }
+})();
@@ -0,0 +1,341 @@
+/* ========================================
+   CHILD PSYCHOLOGY COURSE — MIGRATIONS TESTS
+   Every historical format of stored progress
+   and gamification data, fed through
+   StorageMigrations.run (migrations.js) by the
+   managers' load() and upgradeData().
+
+   Run with: node --test tests/
+   ======================================== */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var sandbox = require('./sandbox');
+
+var PROGRESS_KEY = 'childPsych_progress';
+var GAMIFICATION_KEY = 'childPsych_gamification';
+
+/* The manifest never loads, so the course defaults apply */
+function offline() {
+  return Promise.reject(new Error('offline'));
+}
+
+/* Loads the managers against a stubbed courseStorage holding `items` */
+function boot(items) {
+  var storage = sandbox.createMemoryStorage(items);
+  var box = sandbox.createSandbox({ courseStorage: storage, fetch: offline });
+  box.load('course.js', 'migrations.js', 'progress.js', 'gamification.js');
+  box.ready();
+  return { window: box.window, storage: storage, logs: box.logs };
+}
+
+var plain = sandbox.plain;
+
+/* ------------------------------------------
+   PROGRESS
+------------------------------------------ */
+var PROGRESS_V1 = {
+  version: '1.0',
+  startedAt: '2024-01-10T09:00:00.000Z',
+  lastUpdated: '2024-01-12T09:00:00.000Z',
+  modules: {
+    module1: { status: 'completed', sectionsCompleted: ['what-is-child-psychology', 'history'], quizScore: 80, quizAttempts: 2 },
+    module2: { status: 'not-started', sectionsCompleted: [], quizScore: null, quizAttempts: 0 }
+  },
+  overallProgress: 10
+};
+
+var PROGRESS_V2 = {
+  version: 2,
+  startedAt: '2024-02-01T09:00:00.000Z',
+  lastUpdated: '2024-02-03T09:00:00.000Z',
+  modules: {
+    module1: {
+      status: 'in-progress',
+      sectionsCompleted: ['history'],
+      quizScore: 60,
+      quizAttempts: 1,
+      quizHistory: [{ completedAt: '2024-02-03T09:00:00.000Z', score: 60, durationMs: 120000, questionIds: ['m1q1'], results: [] }],
+      lastQuizQuestionIds: ['m1q1'],
+      quizSession: null
+    }
+  },
+  overallProgress: 5
+};
+
+var PROGRESS_V3 = {
+  version: 3,
+  startedAt: '2024-03-01T09:00:00.000Z',
+  lastUpdated: '2024-03-02T09:00:00.000Z',
+  modules: {
+    module1: {
+      status: 'in-progress',
+      sectionsCompleted: [],
+      quizScore: null,
+      quizAttempts: 0,
+      quizHistory: [],
+      lastQuizQuestionIds: [],
+      quizSession: null,
+      timeSpentMs: 45000
+    }
+  },
+  overallProgress: 0
+};
+
+test('progress v1 (version "1.0") gains quiz history, time and the final exam record', function () {
+  var raw = JSON.stringify(PROGRESS_V1);
+  var env = boot({ childPsych_progress: raw });
+  var data = plain(env.window.progressManager.data);
+
+  assert.equal(data.version, 5);
+  assert.deepEqual(data.modules.module1.quizHistory, [
+    { completedAt: null, score: 80, durationMs: null, questionIds: [], results: [] }
+  ]);
+  assert.deepEqual(data.modules.module2.quizHistory, []);
+  assert.deepEqual(data.modules.module1.sectionsCompleted, ['what-is-child-psychology', 'history']);
+  assert.equal(data.modules.module1.quizAttempts, 2);
+  assert.deepEqual(data.modules.module1.lastQuizQuestionIds, []);
+  assert.equal(data.modules.module1.quizSession, null);
+  assert.equal(data.modules.module1.timeSpentMs, 0);
+  assert.deepEqual(data.modules.module1.timeByDevice, {});
+  assert.deepEqual(data.finalExam, { history: [], passedAt: null });
+
+  assert.equal(env.storage.getItem(PROGRESS_KEY + '_backup_v1'), raw);
+  assert.equal(JSON.parse(env.storage.getItem(PROGRESS_KEY)).version, 5);
+});
+
+test('progress v2 keeps its quiz history and gains time and the final exam record', function () {
+  var raw = JSON.stringify(PROGRESS_V2);
+  var env = boot({ childPsych_progress: raw });
+  var data = plain(env.window.progressManager.data);
+
+  assert.equal(data.version, 5);
+  assert.deepEqual(data.modules.module1.quizHistory, PROGRESS_V2.modules.module1.quizHistory);
+  assert.deepEqual(data.modules.module1.lastQuizQuestionIds, ['m1q1']);
+  assert.equal(data.modules.module1.timeSpentMs, 0);
+  assert.deepEqual(data.finalExam, { history: [], passedAt: null });
+
+  assert.equal(env.storage.getItem(PROGRESS_KEY + '_backup_v2'), raw);
+  assert.equal(env.storage.getItem(PROGRESS_KEY + '_backup_v1'), null);
+});
+
+test('progress v3 keeps its time, as time from an unknown device, and gains the final exam record', function () {
+  var raw = JSON.stringify(PROGRESS_V3);
+  var env = boot({ childPsych_progress: raw });
+  var data = plain(env.window.progressManager.data);
+
+  assert.equal(data.version, 5);
+  assert.equal(data.modules.module1.timeSpentMs, 45000);
+  assert.deepEqual(data.modules.module1.timeByDevice, { earlier: 45000 });
+  assert.deepEqual(data.finalExam, { history: [], passedAt: null });
+  assert.equal(env.storage.getItem(PROGRESS_KEY + '_backup_v3'), raw);
+});
+
+test('current progress is loaded as stored, without a backup', function () {
+  var current = Object.assign({}, PROGRESS_V3, {
+    version: 5,
+    finalExam: { history: [{ completedAt: '2024-03-02T10:00:00.000Z', score: 90 }], passedAt: '2024-03-02T10:00:00.000Z' }
+  });
+  var raw = JSON.stringify(current);
+  var env = boot({ childPsych_progress: raw });
+
+  assert.equal(env.window.progressManager.data.finalExam.passedAt, '2024-03-02T10:00:00.000Z');
+  assert.equal(env.storage.getItem(PROGRESS_KEY), raw);
+  assert.deepEqual(Object.keys(env.storage.items).filter(function (key) {
+    return key.indexOf('_backup_') !== -1;
+  }), []);
+});
+
+test('progress written by a newer version is used as-is and never downgraded', function () {
+  var newer = Object.assign({}, PROGRESS_V3, { version: 9, futureField: true });
+  var env = boot({ childPsych_progress: JSON.stringify(newer) });
+
+  assert.equal(env.window.progressManager.data.version, 9);
+  assert.equal(env.window.progressManager.data.futureField, true);
+  assert.equal(env.storage.getItem(PROGRESS_KEY + '_backup_v9'), null);
+});
+
+test('invalid progress is rejected: the learner starts fresh and the blob is backed up', function () {
+  var cases = [
+    { label: 'invalid', blob: JSON.stringify({ version: 5, modules: [] }) },
+    { label: 'v1', blob: JSON.stringify({ version: '1.0', modules: { module1: { quizScore: 'eighty' } } }) },
+    { label: 'corrupt', blob: '{"version": 5, "modules": ' }
+  ];
+
+  cases.forEach(function (testCase) {
+    var env = boot({ childPsych_progress: testCase.blob });
+    var data = plain(env.window.progressManager.data);
+
+    assert.equal(data.version, 5, testCase.label);
+    assert.deepEqual(data.modules, {}, testCase.label);
+    assert.equal(env.storage.getItem(PROGRESS_KEY + '_backup_' + testCase.label), testCase.blob, testCase.label);
+    assert.ok(env.logs.some(function (line) { return line.indexOf('warn:') === 0; }), testCase.label);
+  });
+});
+
+test('upgradeData() migrates an imported blob without writing to storage', function () {
+  var env = boot({});
+  var upgraded = plain(env.window.progressManager.upgradeData(PROGRESS_V1));
+
+  assert.equal(upgraded.version, 5);
+  assert.equal(upgraded.modules.module1.quizHistory[0].score, 80);
+  assert.deepEqual(Object.keys(env.storage.items).filter(function (key) {
+    return key.indexOf(PROGRESS_KEY) === 0;
+  }), []);
+  assert.equal(env.window.progressManager.upgradeData({ modules: 'none' }), null);
+});
+
+test('time is counted per device, so merging another device\'s export adds it up', function () {
+  var env = boot({ childPsych_progress: JSON.stringify(PROGRESS_V3) });
+  var manager = env.window.progressManager;
+
+  manager.addTimeSpent('module1', 60000);
+  var device = env.storage.getItem('childPsych_device');
+  assert.ok(device);
+  assert.equal(manager.getTimeSpent('module1'), 105000);
+
+  var other = plain(manager.data);
+  other.modules.module1.timeByDevice = { earlier: 45000, 'd-tablet': 30000 };
+  manager.mergeData(manager.upgradeData(other));
+
+  assert.equal(manager.getTimeSpent('module1'), 135000);
+  manager.mergeData(manager.upgradeData(other));
+  assert.equal(manager.getTimeSpent('module1'), 135000);
+
+  var expected = { earlier: 45000, 'd-tablet': 30000 };
+  expected[device] = 60000;
+  assert.deepEqual(plain(manager.data.modules.module1.timeByDevice), expected);
+});
+
+/* ------------------------------------------
+   GAMIFICATION
+------------------------------------------ */
+var GAMIFICATION_V0 = {
+  xp: 120,
+  level: 2,
+  streak: { current: 1, lastDate: '2024-01-12', longest: 4 },
+  badges: { 'quiz-ace': { earned: true, earnedAt: '2024-01-11T09:00:00.000Z' } },
+  interactions: { think: 3, reveal: 1 },
+  modulesVisited: ['module1'],
+  perfectQuiz: true
+};
+
+test('unversioned gamification data becomes v2 with the fields early saves lacked, its counts from an unknown device', function () {
+  var raw = JSON.stringify(GAMIFICATION_V0);
+  var env = boot({ childPsych_gamification: raw });
+  var data = plain(env.window.gamification.data);
+
+  assert.equal(data.version, 2);
+  assert.equal(data.xp, 120);
+  assert.deepEqual(data.xpByDevice, { earlier: 120 });
+  assert.deepEqual(data.interactionsByDevice, { earlier: { think: 3, reveal: 1, total: 0 } });
+  assert.deepEqual(data.badges, GAMIFICATION_V0.badges);
+  assert.equal(data.interactions.think, 3);
+  assert.equal(data.interactions.total, 0);
+  assert.deepEqual(data.modulesVisited, ['module1']);
+  assert.equal(data.perfectQuiz, true);
+  assert.equal(data.finalExamPassed, false);
+  assert.equal(data.resetAt, null);
+  assert.equal(data.streak.longest, 4);
+
+  assert.equal(env.storage.getItem(GAMIFICATION_KEY + '_backup_v0'), raw);
+  assert.equal(JSON.parse(env.storage.getItem(GAMIFICATION_KEY)).version, 2);
+});
+
+test('invalid gamification data is rejected: the learner starts fresh and the blob is backed up', function () {
+  var raw = JSON.stringify(Object.assign({}, GAMIFICATION_V0, { xp: 'lots' }));
+  var env = boot({ childPsych_gamification: raw });
+  var data = plain(env.window.gamification.data);
+
+  assert.equal(data.version, 2);
+  assert.equal(data.xp, 0);
+  assert.deepEqual(data.badges, {});
+  assert.equal(env.storage.getItem(GAMIFICATION_KEY + '_backup_v0'), raw);
+  assert.equal(env.window.gamification.upgradeData({ xp: 'five' }), null);
+});
+
+test('XP and interactions are counted per device, so merging another device\'s export adds them up', function () {
+  // Badges already earned, so recording an interaction shows no toast
+  var badges = Object.assign({ 'first-steps': { earned: true, earnedAt: '2024-01-12T09:00:00.000Z' } }, GAMIFICATION_V0.badges);
+  var env = boot({ childPsych_gamification: JSON.stringify(Object.assign({}, GAMIFICATION_V0, { badges: badges })) });
+  var gamification = env.window.gamification;
+
+  gamification.recordInteraction('think');
+  var device = env.storage.getItem('childPsych_device');
+  assert.ok(device);
+  assert.equal(gamification.data.xp, 130);
+  assert.equal(gamification.data.interactions.think, 4);
+
+  var other = plain(gamification.data);
+  other.xpByDevice = { earlier: 120, 'd-tablet': 40 };
+  other.interactionsByDevice = { earlier: { think: 3, reveal: 1, total: 0 }, 'd-tablet': { reveal: 2, total: 2 } };
+  gamification.mergeData(gamification.upgradeData(other));
+
+  assert.equal(gamification.data.xp, 170);
+  assert.equal(gamification.data.level, 2);
+  assert.equal(gamification.data.interactions.think, 4);
+  assert.equal(gamification.data.interactions.reveal, 3);
+  assert.equal(gamification.data.interactions.total, 3);
+  gamification.mergeData(gamification.upgradeData(other));
+  assert.equal(gamification.data.xp, 170);
+
+  var expected = { earlier: 120, 'd-tablet': 40 };
+  expected[device] = 10;
+  assert.deepEqual(plain(gamification.data.xpByDevice), expected);
+});
+
+/* ------------------------------------------
+   STORAGE MIGRATIONS
+------------------------------------------ */
+test('run() applies only the steps after the stored version, in version order', function () {
+  var env = boot({});
+  var storage = sandbox.createMemoryStorage();
+  var applied = [];
+  var step = function (version) {
+    return {
+      version: version,
+      migrate: function (data) {
+        applied.push(version);
+        data.steps = (data.steps || []).concat(version);
+        return data;
+      }
+    };
+  };
+
+  var data = env.window.StorageMigrations.run({
+    storageKey: 'childPsych_example',
+    raw: JSON.stringify({ version: 1 }),
+    currentVersion: 4,
+    migrations: [step(4), step(2), step(1), step(3)],
+    getVersion: function (blob) { return blob.version; },
+    validate: function () { return true; },
+    storage: storage
+  });
+
+  assert.deepEqual(applied, [2, 3, 4]);
+  assert.deepEqual(plain(data), { version: 4, steps: [2, 3, 4] });
+  assert.equal(storage.getItem('childPsych_example_backup_v1'), JSON.stringify({ version: 1 }));
+  assert.deepEqual(JSON.parse(storage.getItem('childPsych_example')), { version: 4, steps: [2, 3, 4] });
+});
+
+test('run() returns null when a step throws, keeping the backup', function () {
+  var env = boot({});
+  var storage = sandbox.createMemoryStorage();
+  var raw = JSON.stringify({ version: 1 });
+
+  var data = env.window.StorageMigrations.run({
+    storageKey: 'childPsych_example',
+    raw: raw,
+    currentVersion: 2,
+    migrations: [{ version: 2, migrate: function () { throw new Error('bad data'); } }],
+    getVersion: function (blob) { return blob.version; },
+    validate: function () { return true; },
+    storage: storage
+  });
+
+  assert.equal(data, null);
+  assert.equal(storage.getItem('childPsych_example_backup_v1'), raw);
+  assert.equal(storage.getItem('childPsych_example'), null);
+});
@@ -0,0 +1,118 @@
+/* ========================================
+   CHILD PSYCHOLOGY COURSE — TESTS/SANDBOX.JS
+   Loads course scripts into a bare `vm`
+   context with just enough of `window` and
+   `document` for their top-level code, so
+   they can be tested with plain `node`.
+   ======================================== */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var JS_DIR = path.join(__dirname, '..', 'js');
+
+/* ------------------------------------------
+   createMemoryStorage(items)
+   Stand-in for courseStorage (storage.js):
+   synchronous getItem / setItem / removeItem
+   over a plain object of strings.
+------------------------------------------ */
+function createMemoryStorage(items) {
+  var store = Object.assign({}, items);
+  return {
+    items: store,
+    getItem: function (key) {
+      return Object.prototype.hasOwnProperty.call(store, key) ? store[key] : null;
+    },
+    setItem: function (key, value) {
+      store[key] = String(value);
+    },
+    removeItem: function (key) {
+      delete store[key];
+    }
+  };
+}
+
+/* ------------------------------------------
+   createSandbox(globals)
+   A fresh context whose global object is
+   `window`. Warnings are collected in
+   sandbox.logs rather than printed.
+------------------------------------------ */
+function createSandbox(globals) {
+  var logs = [];
+  var record = function (level) {
+    return function () {
+      logs.push(level + ': ' + Array.prototype.join.call(arguments, ' '));
+    };
+  };
+
+  var listeners = {};
+  var document = {
+    readyState: 'loading',
+    body: { getAttribute: function () { return null; } },
+    addEventListener: function (type, listener) {
+      (listeners[type] = listeners[type] || []).push(listener);
+    },
+    removeEventListener: function () {},
+    dispatchEvent: function (event) {
+      (listeners[event.type] || []).forEach(function (listener) { listener.call(document, event); });
+      return true;
+    },
+    getElementById: function () { return null; },
+    querySelector: function () { return null; },
+    querySelectorAll: function () { return []; }
+  };
+
+  var window = Object.assign({
+    document: document,
+    console: { log: record('log'), info: record('info'), warn: record('warn'), error: record('error') },
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+    setInterval: function () { return 0; },
+    clearInterval: function () {},
+    matchMedia: function () { return { matches: false, addEventListener: function () {} }; },
+    addEventListener: function () {},
+    removeEventListener: function () {},
+    CustomEvent: function CustomEvent(type, init) {
+      this.type = type;
+      this.detail = init && init.detail;
+    }
+  }, globals);
+  window.window = window;
+
+  var context = vm.createContext(window);
+
+  return {
+    window: window,
+    logs: logs,
+    load: function () {
+      Array.prototype.forEach.call(arguments, function (file) {
+        var source = fs.readFileSync(path.join(JS_DIR, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+      });
+      return window;
+    },
+    /* Runs the scripts' DOMContentLoaded handlers */
+    ready: function () {
+      document.readyState = 'complete';
+      document.dispatchEvent(new window.CustomEvent('DOMContentLoaded'));
+      return window;
+    }
+  };
+}
+
+/* Copies a value out of a sandbox (its objects have the sandbox's own
+   prototypes) so it compares with assert.deepEqual */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  createMemoryStorage: createMemoryStorage,
+  createSandbox: createSandbox,
+  plain: plain
+};
@@ -0,0 +1,266 @@
+/* ========================================
+   CHILD PSYCHOLOGY COURSE — STORAGE TESTS
+   HttpSyncAdapter (storage.js) against a mock
+   of the sync endpoint's REST contract, run
+   on a local port with node's http module,
+   and CourseStorage's last-write-wins sync
+   through it.
+
+   Run with: node --test tests/
+   ======================================== */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var http = require('node:http');
+var sandbox = require('./sandbox');
+
+var META_KEY = 'childPsych_storageMeta';
+
+/* ------------------------------------------
+   MOCK SYNC SERVER
+   GET / PUT / DELETE {url}/{key} over an
+   in-memory record map. `failWith` makes
+   every request answer with that status.
+------------------------------------------ */
+function startServer() {
+  var server = {
+    records: {},
+    requests: [],
+    failWith: null,
+    waiters: []
+  };
+
+  server.http = http.createServer(function (req, res) {
+    var body = '';
+    req.on('data', function (chunk) { body += chunk; });
+    req.on('end', function () {
+      var key = decodeURIComponent(req.url.replace(/^\/api\//, ''));
+      var entry = { method: req.method, url: req.url, key: key, headers: req.headers, body: body ? JSON.parse(body) : null };
+      server.requests.push(entry);
+
+      if (server.failWith) {
+        res.statusCode = server.failWith;
+      } else if (req.method === 'GET') {
+        if (server.records[key]) {
+          res.setHeader('Content-Type', 'application/json');
+          res.write(JSON.stringify(server.records[key]));
+        } else {
+          res.statusCode = 404;
+        }
+      } else if (req.method === 'PUT') {
+        server.records[key] = entry.body;
+        res.statusCode = 204;
+      } else if (req.method === 'DELETE') {
+        res.statusCode = server.records[key] ? 204 : 404;
+        delete server.records[key];
+      } else {
+        res.statusCode = 405;
+      }
+      res.end();
+
+      server.waiters = server.waiters.filter(function (waiter) {
+        if (!waiter.match(entry)) return true;
+        waiter.resolve(entry);
+        return false;
+      });
+    });
+  });
+
+  /* Resolves with the first later request that matches */
+  server.next = function (match) {
+    return new Promise(function (resolve) {
+      server.waiters.push({ match: match, resolve: resolve });
+    });
+  };
+
+  return new Promise(function (resolve) {
+    server.http.listen(0, '127.0.0.1', function () {
+      server.url = 'http://127.0.0.1:' + server.http.address().port + '/api/';
+      resolve(server);
+    });
+  });
+}
+
+/* storage.js on the memory backend, with node's fetch */
+function boot() {
+  var box = sandbox.createSandbox({
+    fetch: fetch,
+    CHILDPSYCH_STORAGE: { backend: 'memory' }
+  });
+  box.load('storage.js');
+  return box;
+}
+
+test('HttpSyncAdapter', async function (t) {
+  var server = await startServer();
+  t.after(function () { server.http.close(); });
+
+  var box = boot();
+  var HttpSyncAdapter = box.window.StorageAdapters.HttpSyncAdapter;
+  var adapter = new HttpSyncAdapter({ url: server.url, headers: { Authorization: 'Bearer class-7' } });
+
+  t.beforeEach(function () {
+    server.records = {};
+    server.requests = [];
+    server.failWith = null;
+  });
+
+  await t.test('PUTs { value, updatedAt } to the key URL with the configured headers', async function () {
+    await adapter.setItem('childPsych_progress', '{"version":4}', '2024-05-01T10:00:00.000Z');
+
+    var put = server.requests[0];
+    assert.equal(put.method, 'PUT');
+    assert.equal(put.key, 'childPsych_progress');
+    assert.equal(put.headers.authorization, 'Bearer class-7');
+    assert.equal(put.headers['content-type'], 'application/json');
+    assert.deepEqual(put.body, { value: '{"version":4}', updatedAt: '2024-05-01T10:00:00.000Z' });
+  });
+
+  await t.test('reads back a record, or null when the server has none', async function () {
+    server.records.childPsych_progress = { value: '{"version":4}', updatedAt: '2024-05-01T10:00:00.000Z' };
+
+    var record = await adapter.getRecord('childPsych_progress');
+    assert.equal(record.value, '{"version":4}');
+    assert.equal(record.updatedAt, '2024-05-01T10:00:00.000Z');
+    assert.equal(await adapter.getItem('childPsych_progress'), '{"version":4}');
+    assert.equal(await adapter.getRecord('childPsych_gamification'), null);
+    assert.equal(await adapter.getItem('childPsych_gamification'), null);
+  });
+
+  await t.test('encodes profile keys into a single path segment', async function () {
+    await adapter.setItem('childPsych_profile-p1/progress', '{}');
+
+    assert.equal(server.requests[0].url, '/api/childPsych_profile-p1%2Fprogress');
+    assert.ok(server.records['childPsych_profile-p1/progress']);
+  });
+
+  await t.test('DELETEs a key, and a missing key is not an error', async function () {
+    server.records.childPsych_progress = { value: '{}', updatedAt: null };
+
+    await adapter.removeItem('childPsych_progress');
+    await adapter.removeItem('childPsych_progress');
+    assert.deepEqual(server.requests.map(function (request) { return request.method; }), ['DELETE', 'DELETE']);
+    assert.equal(server.records.childPsych_progress, undefined);
+  });
+
+  await t.test('rejects when the server fails', async function () {
+    server.failWith = 500;
+
+    await assert.rejects(adapter.getRecord('childPsych_progress'), /Sync GET failed: 500/);
+    await assert.rejects(adapter.setItem('childPsych_progress', '{}'), /Sync PUT failed: 500/);
+    await assert.rejects(adapter.removeItem('childPsych_progress'), /Sync DELETE failed: 500/);
+  });
+
+  await t.test('syncs individual keys only', async function () {
+    await assert.rejects(adapter.getAll(), /individual keys only/);
+  });
+});
+
+test('CourseStorage sync through HttpSyncAdapter', async function (t) {
+  var server = await startServer();
+  t.after(function () { server.http.close(); });
+
+  await t.test('adopts a newer remote copy and announces it', async function () {
+    var box = boot();
+    var StorageAdapters = box.window.StorageAdapters;
+    var meta = {};
+    meta.childPsych_progress = '2024-05-01T10:00:00.000Z';
+    var backend = new StorageAdapters.MemoryAdapter({
+      childPsych_progress: '{"local":true}',
+      childPsych_storageMeta: JSON.stringify(meta)
+    });
+    server.records.childPsych_progress = { value: '{"remote":true}', updatedAt: '2024-06-01T10:00:00.000Z' };
+
+    var storage = new box.window.CourseStorage(backend);
+    var changed = new Promise(function (resolve) {
+      box.window.document.addEventListener('storageChanged', function (e) { resolve(e.detail); });
+    });
+    storage.init();
+    storage.enableSync(new StorageAdapters.HttpSyncAdapter({ url: server.url }), ['childPsych_progress']);
+
+    assert.deepEqual(sandbox.plain(await changed), { keys: ['childPsych_progress'], source: 'remote' });
+    assert.equal(storage.getItem('childPsych_progress'), '{"remote":true}');
+    assert.equal(backend.items.childPsych_progress, '{"remote":true}');
+    assert.equal(JSON.parse(storage.getItem(META_KEY)).childPsych_progress, '2024-06-01T10:00:00.000Z');
+  });
+
+  await t.test('pushes a newer local copy', async function () {
+    var box = boot();
+    var StorageAdapters = box.window.StorageAdapters;
+    var meta = {};
+    meta.childPsych_gamification = '2024-07-01T10:00:00.000Z';
+    var backend = new StorageAdapters.MemoryAdapter({
+      childPsych_gamification: '{"xp":40}',
+      childPsych_storageMeta: JSON.stringify(meta)
+    });
+    server.records.childPsych_gamification = { value: '{"xp":10}', updatedAt: '2024-06-01T10:00:00.000Z' };
+
+    var storage = new box.window.CourseStorage(backend);
+    var pushed = server.next(function (request) { return request.method === 'PUT'; });
+    storage.init();
+    storage.enableSync(new StorageAdapters.HttpSyncAdapter({ url: server.url }), ['childPsych_gamification']);
+
+    var put = await pushed;
+    assert.equal(put.key, 'childPsych_gamification');
+    assert.deepEqual(put.body, { value: '{"xp":40}', updatedAt: '2024-07-01T10:00:00.000Z' });
+    assert.equal(storage.getItem('childPsych_gamification'), '{"xp":40}');
+  });
+
+  await t.test('keeps working locally when the server is down', async function () {
+    var box = boot();
+    var StorageAdapters = box.window.StorageAdapters;
+    var backend = new StorageAdapters.MemoryAdapter({ childPsych_progress: '{"local":true}' });
+    server.failWith = 503;
+
+    var storage = new box.window.CourseStorage(backend);
+    var failed = server.next(function (request) { return request.method === 'GET'; });
+    storage.init();
+    storage.enableSync(new StorageAdapters.HttpSyncAdapter({ url: server.url }), ['childPsych_progress']);
+    await failed;
+    await storage.pull();
+
+    assert.equal(storage.getItem('childPsych_progress'), '{"local":true}');
+    assert.ok(box.logs.some(function (line) { return line.indexOf('Could not sync progress') !== -1; }));
+    clearTimeout(storage.syncTimer);
+  });
+});
+
+test('CourseStorage local writes', async function (t) {
+  await t.test('falls back to memory when the guest session storage is full', async function () {
+    var box = sandbox.createSandbox({
+      CHILDPSYCH_STORAGE: { backend: 'memory' },
+      sessionStorage: {
+        getItem: function () { return null; },
+        setItem: function (key) {
+          if (key.indexOf('probe') === -1) throw new Error('QuotaExceededError');
+        },
+        removeItem: function () {}
+      }
+    });
+    box.load('storage.js');
+
+    var storage = new box.window.CourseStorage(new box.window.StorageAdapters.MemoryAdapter());
+    var failed = new Promise(function (resolve) {
+      box.window.document.addEventListener('storageError', function (e) { resolve(e.detail); });
+    });
+    storage.useProfile('guest');
+    storage.init();
+
+    await storage.setItem('childPsych_progress', '{"guest":true}');
+    assert.equal((await failed).backend, 'sessionStorage');
+    assert.equal(storage.transient.name, 'memory');
+    assert.equal(storage.getItem('childPsych_progress'), '{"guest":true}');
+  });
+
+  await t.test('stamps change times only while syncing', async function () {
+    var box = boot();
+    var backend = new box.window.StorageAdapters.MemoryAdapter();
+    var storage = new box.window.CourseStorage(backend);
+    storage.init();
+
+    await storage.setItem('childPsych_progress', '{}');
+    assert.deepEqual(Object.keys(backend.items), ['childPsych_progress']);
+  });
+});